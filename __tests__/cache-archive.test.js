@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import { ARCHIVE_FORMAT, exportCacheArchive, importCacheArchive } from '../lib/cache-archive.js';
+import { createCacheStore } from '../lib/cache-store.js';
+import { ConfigurationError } from '../lib/config.js';
+import { createFingerprinter } from '../lib/environment-fingerprint.js';
+
+const ENV = { PATH: '/nonexistent' };
+
+function createConfig(root, name) {
+  const cacheDir = path.join(root, name);
+  return {
+    cwd: root,
+    cacheDir,
+    cacheBackend: 'jsonl',
+    cacheEnvVars: ['PATH'],
+    commandsCacheDir: path.join(cacheDir, 'commands'),
+    executionsCacheDir: path.join(cacheDir, 'executions'),
+    cacheStoreFile: path.join(cacheDir, 'cache.jsonl'),
+    lastCommitFile: path.join(cacheDir, 'last-validation-commit.txt'),
+  };
+}
+
+async function createValidation(command, overrides = {}) {
+  return {
+    category: 'safe',
+    confidence: 0.9,
+    validated: true,
+    available: true,
+    success: true,
+    validatedAt: '2026-03-01T00:00:00.000Z',
+    environment: await createFingerprinter({ env: ENV, envVars: ['PATH'] })(command),
+    ...overrides,
+  };
+}
+
+describe('Cache archive', () => {
+  let tempDir;
+  let source;
+  let target;
+  let archiveFile;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-archive-'));
+    source = createConfig(tempDir, 'source');
+    target = createConfig(tempDir, 'target');
+    archiveFile = path.join(tempDir, 'cache.json.gz');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('round-trips entries through a gzipped, versioned archive', async () => {
+    const store = createCacheStore(source);
+    await store.set('npm test', await createValidation('npm test'));
+    await store.set('make build', await createValidation('make build'));
+    await store.flush();
+
+    expect(await exportCacheArchive(source, archiveFile)).toEqual({ entries: 2, commit: null });
+    const archive = JSON.parse(zlib.gunzipSync(await fs.readFile(archiveFile)).toString('utf-8'));
+    expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, version: 1, lastValidatedCommit: null });
+
+    const result = await importCacheArchive(target, archiveFile, { env: ENV });
+    expect(result).toEqual({ imported: 2, kept: 0, skipped: [], commit: null });
+    expect((await createCacheStore(target).list()).map(entry => entry.command).sort()).toEqual(['make build', 'npm test']);
+  });
+
+  it('skips entries from another environment and keeps newer local entries', async () => {
+    const store = createCacheStore(source);
+    await store.set('npm test', await createValidation('npm test'));
+    const { environment } = await createValidation('make build');
+    await store.set('make build', await createValidation('make build', { environment: { ...environment, platform: 'win32' } }));
+    await store.flush();
+    await exportCacheArchive(source, archiveFile);
+
+    const local = createCacheStore(target);
+    await local.set('npm test', await createValidation('npm test', { validatedAt: '2026-04-01T00:00:00.000Z' }));
+    await local.flush();
+
+    const result = await importCacheArchive(target, archiveFile, { env: ENV });
+    expect(result.imported).toBe(0);
+    expect(result.kept).toBe(1);
+    expect(result.skipped).toEqual([{ command: 'make build', reason: `platform changed (win32 → ${process.platform})` }]);
+  });
+
+  it('imports entries validated with a different PATH or executable and re-stamps them', async () => {
+    const store = createCacheStore(source);
+    const { environment } = await createValidation('mytool --version');
+    await store.set('mytool --version', await createValidation('mytool --version', {
+      environment: {
+        ...environment,
+        executable: { name: 'mytool', path: '/ci/bin/mytool', mtimeMs: 1, size: 10 },
+        env: { PATH: 'ci-path-hash' },
+      },
+    }));
+    await store.flush();
+    await exportCacheArchive(source, archiveFile);
+
+    const binDir = path.join(tempDir, 'bin');
+    const tool = path.join(binDir, 'mytool');
+    await fs.mkdir(binDir);
+    await fs.writeFile(tool, '#!/bin/sh\n');
+    await fs.chmod(tool, 0o755);
+    const env = { PATH: binDir };
+
+    const result = await importCacheArchive(target, archiveFile, { env });
+    expect(result).toMatchObject({ imported: 1, skipped: [] });
+
+    const { entry } = await createCacheStore(target).get('mytool --version');
+    expect(entry.environment).toEqual(await createFingerprinter({ env, envVars: ['PATH'] })('mytool --version'));
+  });
+
+  it('skips entries whose executable availability differs', async () => {
+    const store = createCacheStore(source);
+    const { environment } = await createValidation('mytool --version');
+    await store.set('mytool --version', await createValidation('mytool --version', {
+      environment: { ...environment, executable: { name: 'mytool', path: '/ci/bin/mytool', mtimeMs: 1, size: 10 } },
+    }));
+    await store.flush();
+    await exportCacheArchive(source, archiveFile);
+
+    const result = await importCacheArchive(target, archiveFile, { env: ENV });
+    expect(result.skipped).toEqual([{ command: 'mytool --version', reason: '"mytool" is not on PATH' }]);
+  });
+
+  it('rejects archives with another version or format', async () => {
+    await fs.writeFile(archiveFile, zlib.gzipSync(JSON.stringify({ format: ARCHIVE_FORMAT, version: 99, entries: [] })));
+    await expect(importCacheArchive(target, archiveFile, { env: ENV })).rejects.toThrow(/Unsupported cache archive version 99/);
+
+    await fs.writeFile(archiveFile, 'not gzip');
+    await expect(importCacheArchive(target, archiveFile, { env: ENV })).rejects.toBeInstanceOf(ConfigurationError);
+
+    await expect(importCacheArchive(target, path.join(tempDir, 'missing.gz'), { env: ENV })).rejects.toThrow(/not found/);
+  });
+});
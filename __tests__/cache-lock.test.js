@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { setTimeout as delay } from 'timers/promises';
+import { acquireCacheLock, isLockStale, withCacheLock, writeFileAtomic } from '../lib/cache-lock.js';
+
+describe('Cache lock', () => {
+  let tempDir;
+  let lockFile;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-lock-'));
+    lockFile = path.join(tempDir, '.lock');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('writes files atomically without leaving temporary files behind', async () => {
+    const file = path.join(tempDir, 'last-validation-commit.txt');
+    await fs.writeFile(file, 'old');
+
+    await writeFileAtomic(file, 'new', 'utf-8');
+
+    expect(await fs.readFile(file, 'utf-8')).toBe('new');
+    expect(await fs.readdir(tempDir)).toEqual(['last-validation-commit.txt']);
+  });
+
+  it('records the holder and waits for the lock to be released', async () => {
+    const release = await acquireCacheLock(tempDir);
+    expect(JSON.parse(await fs.readFile(lockFile, 'utf-8'))).toMatchObject({ pid: process.pid, hostname: os.hostname() });
+
+    await expect(acquireCacheLock(tempDir, { timeoutMs: 100 })).rejects.toThrow(/Timed out waiting for the cache lock/);
+
+    await release();
+    await expect(fs.access(lockFile)).rejects.toThrow();
+    const next = await acquireCacheLock(tempDir, { timeoutMs: 100 });
+    await next();
+  });
+
+  it('serialises read-modify-write sections', async () => {
+    const counter = path.join(tempDir, 'counter');
+    await fs.writeFile(counter, '0');
+
+    await Promise.all(Array.from({ length: 5 }, () => withCacheLock({ cacheDir: tempDir }, async() => {
+      const value = Number(await fs.readFile(counter, 'utf-8'));
+      await delay(10);
+      await writeFileAtomic(counter, String(value + 1));
+    })));
+
+    expect(await fs.readFile(counter, 'utf-8')).toBe('5');
+  });
+
+  it('breaks locks left by exited processes but not long-held live ones', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    const owner = { pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+    expect(isLockStale({ owner, mtimeMs: Date.now() })).toBe(true);
+    expect(isLockStale({ owner: { ...owner, pid: process.pid }, mtimeMs: Date.now() })).toBe(false);
+    expect(isLockStale({ owner: { ...owner, pid: process.pid }, mtimeMs: 0 }, { now: Date.now() + 60 * 1000 })).toBe(false);
+
+    await fs.writeFile(lockFile, JSON.stringify(owner));
+    const warnings = [];
+    const release = await acquireCacheLock(tempDir, { timeoutMs: 100, logger: { warn: message => warnings.push(message) } });
+
+    expect(JSON.parse(await fs.readFile(lockFile, 'utf-8')).pid).toBe(process.pid);
+    expect(warnings[0]).toContain(`stale cache lock held by pid ${pid}`);
+    await release();
+  });
+
+  it('judges locks from other hosts by how recently they were refreshed', () => {
+    const owner = { pid: process.pid, hostname: 'other-host', acquiredAt: new Date(0).toISOString() };
+    const now = Date.now();
+
+    expect(isLockStale({ owner, mtimeMs: now - 1000 }, { now })).toBe(false);
+    expect(isLockStale({ owner, mtimeMs: now - 60 * 1000 }, { now })).toBe(true);
+    expect(isLockStale({ owner: null, mtimeMs: now - 60 * 1000 }, { now })).toBe(true);
+  });
+
+  it('refreshes the lock mtime while it is held', async () => {
+    const release = await acquireCacheLock(tempDir, { staleMs: 90 });
+    const past = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(lockFile, past, past);
+
+    await delay(120);
+
+    expect(Date.now() - (await fs.stat(lockFile)).mtimeMs).toBeLessThan(1000);
+    await release();
+  });
+
+  it('leaves a lock alone once another process has taken it over', async () => {
+    const release = await acquireCacheLock(tempDir);
+    const takeover = JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString(), other: true });
+    await fs.writeFile(lockFile, takeover);
+
+    await release();
+
+    expect(await fs.readFile(lockFile, 'utf-8')).toBe(takeover);
+  });
+});
@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createCacheStore, pruneCache, registerCacheBackend } from '../lib/cache-store.js';
+import { saveCacheEntry, saveExecutionRecord } from '../lib/cache-manager.js';
+import { ConfigurationError } from '../lib/config.js';
+
+function createConfig(root, cacheBackend = 'jsonl') {
+  const cacheDir = path.join(root, '.cache');
+  return {
+    cacheDir,
+    cacheBackend,
+    commandsCacheDir: path.join(cacheDir, 'commands'),
+    executionsCacheDir: path.join(cacheDir, 'executions'),
+    cacheStoreFile: path.join(cacheDir, 'cache.jsonl'),
+  };
+}
+
+function createValidation(overrides = {}) {
+  return {
+    category: 'safe',
+    confidence: 0.9,
+    validated: true,
+    available: true,
+    success: true,
+    validatedAt: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+async function readLines(file) {
+  return (await fs.readFile(file, 'utf-8')).split('\n').filter(Boolean);
+}
+
+describe('Cache store', () => {
+  let tempDir;
+  let config;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-store-'));
+    config = createConfig(tempDir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('appends entries to a single JSONL file that later runs read back', async () => {
+    const store = createCacheStore(config);
+    await store.set('npm test', createValidation());
+    await store.set('npm run build', createValidation({ available: false }));
+    await store.set('npm test', createValidation({ message: 'updated' }));
+    await store.flush();
+
+    expect(await readLines(config.cacheStoreFile)).toHaveLength(3);
+
+    const next = createCacheStore(config);
+    const { entry } = await next.get('npm test');
+    expect(entry).toMatchObject({ command: 'npm test', message: 'updated', schemaVersion: 1 });
+    expect((await next.list()).map(item => item.command).sort()).toEqual(['npm run build', 'npm test']);
+
+    await next.delete('npm run build');
+    await next.flush();
+    expect((await createCacheStore(config).get('npm run build')).entry).toBeNull();
+  });
+
+  it('migrates per-file entries into the log', async () => {
+    await saveCacheEntry('make docs', createValidation(), config);
+    const log = { info: vi.fn() };
+
+    const { entry } = await createCacheStore(config).get('make docs', log);
+
+    expect(entry.command).toBe('make docs');
+    expect(await fs.readdir(config.commandsCacheDir)).toEqual([]);
+    expect(await readLines(config.cacheStoreFile)).toHaveLength(1);
+    expect(log.info).toHaveBeenCalledWith(expect.stringContaining('Migrated 1 cache entries'));
+  });
+
+  it('skips torn lines and rewrites the log without them', async () => {
+    const store = createCacheStore(config);
+    await store.set('npm test', createValidation());
+    await store.flush();
+    await fs.appendFile(config.cacheStoreFile, '{"command": "npm ru');
+
+    const stats = { corrupted: 0 };
+    const recovered = createCacheStore(config);
+    const { entry } = await recovered.get('npm test', { warn: vi.fn() }, stats);
+    await recovered.flush();
+
+    expect(entry.command).toBe('npm test');
+    expect(stats.corrupted).toBe(1);
+    expect(await readLines(config.cacheStoreFile)).toHaveLength(1);
+  });
+
+  it('compacts the log once superseded lines dominate', async () => {
+    const store = createCacheStore(config);
+    for (let run = 0; run < 120; run += 1) {
+      await store.set('npm test', createValidation({ message: `run ${run}` }));
+    }
+    await store.flush();
+
+    const lines = await readLines(config.cacheStoreFile);
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).message).toBe('run 119');
+  });
+
+  it('keeps entries other processes wrote while compacting', async () => {
+    await fs.mkdir(config.cacheDir, { recursive: true });
+    await fs.writeFile(config.cacheStoreFile, '{"command": "npm te\n');
+
+    const first = createCacheStore(config);
+    const second = createCacheStore(config);
+    await first.set('npm test', createValidation());
+    await second.set('npm run build', createValidation());
+    await second.flush();
+    await first.flush();
+
+    const entries = await createCacheStore(config).list();
+    expect(entries.map(entry => entry.command).sort()).toEqual(['npm run build', 'npm test']);
+    expect(await fs.readdir(config.cacheDir)).toEqual(['cache.jsonl']);
+  });
+
+  it('keeps the per-file layout available as a backend', async () => {
+    const store = createCacheStore(createConfig(tempDir, 'files'));
+    await store.set('npm test', createValidation());
+
+    expect(await fs.readdir(config.commandsCacheDir)).toHaveLength(1);
+    expect((await store.get('npm test')).entry.command).toBe('npm test');
+  });
+
+  it('accepts registered backends and rejects unknown ones', () => {
+    const custom = { name: 'memory' };
+    registerCacheBackend('memory', () => custom);
+
+    expect(createCacheStore(createConfig(tempDir, 'memory'))).toBe(custom);
+    expect(() => createCacheStore(createConfig(tempDir, 'redis'))).toThrow(ConfigurationError);
+  });
+
+  describe('pruneCache', () => {
+    const now = Date.parse('2026-03-01T00:00:00Z');
+    const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+    async function seed(store, entries) {
+      for (const [command, age] of entries) {
+        await store.set(command, createValidation({ validatedAt: daysAgo(age) }));
+      }
+      await store.flush();
+    }
+
+    it('removes entries for commands that are no longer documented', async () => {
+      const store = createCacheStore(config);
+      await seed(store, [['npm test', 1], ['npm run old', 1]]);
+      await saveExecutionRecord('npm run old', { exitCode: 0 }, config);
+
+      const pruned = await pruneCache(store, config, { keep: new Set(['npm test']), now });
+
+      expect(pruned).toEqual({ orphaned: ['npm run old'], expired: [], evicted: [], remaining: 1 });
+      expect((await createCacheStore(config).list()).map(entry => entry.command)).toEqual(['npm test']);
+      expect(await fs.readdir(config.executionsCacheDir)).toEqual([]);
+    });
+
+    it('expires entries older than the TTL and evicts the oldest beyond the budget', async () => {
+      const store = createCacheStore(config);
+      await seed(store, [['a', 40], ['b', 10], ['c', 5], ['d', 1]]);
+
+      const pruned = await pruneCache(store, config, { ttlDays: 30, maxEntries: 2, now });
+
+      expect(pruned).toEqual({ orphaned: [], expired: ['a'], evicted: ['b'], remaining: 2 });
+      expect((await store.list()).map(entry => entry.command).sort()).toEqual(['c', 'd']);
+    });
+
+    it('reports without deleting in dry-run mode', async () => {
+      const store = createCacheStore(config);
+      await seed(store, [['npm test', 1], ['npm run old', 1]]);
+
+      const pruned = await pruneCache(store, config, { keep: new Set(['npm test']), dryRun: true, now });
+
+      expect(pruned.orphaned).toEqual(['npm run old']);
+      expect(await createCacheStore(config).list()).toHaveLength(2);
+    });
+  });
+});
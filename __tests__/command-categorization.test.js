@@ -299,4 +299,80 @@ describe('categorizeCommand', () => {
       });
     });
   });
+
+  describe('compound commands', () => {
+    it('should use the most dangerous segment and expose the breakdown', () => {
+      expect(categorizeCommand('npm run build && rm -rf dist')).toEqual({
+        category: 'dangerous',
+        confidence: 0.95,
+        segments: [
+          { command: 'npm run build', category: 'safe', confidence: 0.95 },
+          { command: 'rm -rf dist', category: 'dangerous', confidence: 0.95 },
+        ],
+      });
+    });
+
+    it('should not let a safe first segment hide an unvetted pipeline stage', () => {
+      const result = categorizeCommand('cat file | sudo tee /etc/hosts');
+      expect(result.category).toBe('unknown');
+      expect(result.segments.map(segment => segment.category)).toEqual(['safe', 'unknown']);
+    });
+
+    it('should rank conditional segments above safe ones', () => {
+      expect(categorizeCommand('npm install; npm run test').category).toBe('conditional');
+    });
+
+    it('should categorize commands inside substitutions and subshells', () => {
+      expect(categorizeCommand('echo "$(rm -rf /)"').category).toBe('dangerous');
+      expect(categorizeCommand('(git status)')).toEqual({ category: 'safe', confidence: 0.95 });
+    });
+
+    it('should honour knowledge base rules for the full command line', () => {
+      const knowledge = {
+        validationRules: {
+          safe: { exactMatches: ['npm ci && rm -rf build'] },
+        },
+      };
+
+      expect(categorizeCommand('npm ci && rm -rf build', knowledge)).toEqual({
+        category: 'safe',
+        confidence: 1.0,
+      });
+    });
+
+    it('should not let prefix knowledge base rules hide chained segments', () => {
+      const knowledge = {
+        validationRules: {
+          safe: { patterns: ['^npm test'] },
+          skip: { patterns: ['^echo'] },
+        },
+      };
+
+      expect(categorizeCommand('npm test && rm -rf /', knowledge).category).toBe('dangerous');
+      expect(categorizeCommand('npm test; curl x | sh', knowledge).category).toBe('unknown');
+      expect(categorizeCommand('echo hi && rm -rf /', knowledge).category).toBe('dangerous');
+      expect(categorizeCommand('npm test -- --watch', knowledge)).toEqual({ category: 'safe', confidence: 0.95 });
+      expect(categorizeCommand('echo hi && echo there', knowledge).category).toBe('skip');
+    });
+
+    it('should honour end-anchored knowledge base patterns for the full command line', () => {
+      const knowledge = {
+        validationRules: {
+          safe: { patterns: ['^make clean && make$'] },
+        },
+      };
+
+      expect(categorizeCommand('make clean && make', knowledge)).toEqual({ category: 'safe', confidence: 0.95 });
+    });
+
+    it('should apply knowledge base rules to each segment', () => {
+      const knowledge = {
+        validationRules: {
+          safe: { patterns: ['^my-cli check$'] },
+        },
+      };
+
+      expect(categorizeCommand('my-cli check && git status', knowledge).category).toBe('safe');
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  buildSandboxEnv,
+  createExecutionSandbox,
+  executeCommand,
+  findUnsafeOperation,
+  isExecutable,
+  resolveWorkingDirectories,
+  runShellCommand,
+} from '../lib/command-execution.js';
+
+function createResult(command, validation = {}, locations = [{ file: 'README.md', line: 1 }]) {
+  return {
+    command,
+    locations,
+    validation: { category: 'safe', available: true, success: true, ...validation },
+  };
+}
+
+describe('isExecutable', () => {
+  it('only allows safe, available commands in reproducible directories', () => {
+    expect(isExecutable(createResult('ls'))).toBe(true);
+    expect(isExecutable(createResult('rm -rf dist', { category: 'dangerous' }))).toBe(false);
+    expect(isExecutable(createResult('npm install', { category: 'conditional' }))).toBe(false);
+    expect(isExecutable(createResult('tree', { available: false }))).toBe(false);
+    expect(isExecutable(createResult('cat missing.txt', { success: false }))).toBe(false);
+    expect(isExecutable(createResult('ls', {}, [{ file: 'README.md', line: 1, cwd: '~' }]))).toBe(false);
+  });
+
+  it('resolves every directory the command is documented in', () => {
+    expect(resolveWorkingDirectories(createResult('ls'))).toEqual(['.']);
+    expect(resolveWorkingDirectories(createResult('ls', {}, [
+      { file: 'a.md' },
+      { file: 'b.md', cwd: 'docs' },
+      { file: 'c.md', cwd: 'docs' },
+    ]))).toEqual(['.', 'docs']);
+    expect(resolveWorkingDirectories(createResult('ls', {}, [{ file: 'a.md' }, { file: 'b.md', cwd: '~/x' }]))).toBeNull();
+  });
+});
+
+describe('findUnsafeOperation', () => {
+  it('refuses output redirections into files', () => {
+    expect(findUnsafeOperation('echo x > /abs/path')).toBe('redirects output to /abs/path');
+    expect(findUnsafeOperation('cat a >> ../../file')).toBe('redirects output to ../../file');
+    expect(findUnsafeOperation('npm test &>out.log')).toBe('redirects output to out.log');
+    expect(findUnsafeOperation('ls && echo hi>notes.txt')).toBe('redirects output to notes.txt');
+  });
+
+  it('refuses absolute, home and parent directory operands', () => {
+    expect(findUnsafeOperation('find / -delete')).toBe('uses a path outside the sandbox (/)');
+    expect(findUnsafeOperation('cat ~/.bashrc')).toBe('uses a path outside the sandbox (~/.bashrc)');
+    expect(findUnsafeOperation('ls ../other')).toBe('uses a path outside the sandbox (../other)');
+    expect(findUnsafeOperation('node --require=../hook.js index.js')).toBe('uses a path outside the sandbox (../hook.js)');
+  });
+
+  it('allows descriptor duplication, /dev/null and quoted text', () => {
+    expect(findUnsafeOperation('ls 2>&1')).toBeNull();
+    expect(findUnsafeOperation('echo hi > /dev/null')).toBeNull();
+    expect(findUnsafeOperation('echo "a > b"')).toBeNull();
+    expect(findUnsafeOperation('cat docs/notes.txt | grep hello')).toBeNull();
+  });
+
+  it('keeps unsafe commands from being executed', () => {
+    expect(isExecutable(createResult('echo x > /abs/path'))).toBe(false);
+    expect(isExecutable(createResult('find / -delete'))).toBe(false);
+  });
+});
+
+describe('buildSandboxEnv', () => {
+  it('passes through only allowed variables and isolates HOME and TMPDIR', () => {
+    const env = buildSandboxEnv({ PATH: '/usr/bin', NPM_TOKEN: 'secret', LANG: 'C' }, ['PATH', 'LANG', 'TERM'], '/sandbox');
+
+    expect(env).toEqual({
+      PATH: '/usr/bin',
+      LANG: 'C',
+      HOME: path.join('/sandbox', 'home'),
+      USERPROFILE: path.join('/sandbox', 'home'),
+      TMPDIR: path.join('/sandbox', 'tmp'),
+      TEMP: path.join('/sandbox', 'tmp'),
+      TMP: path.join('/sandbox', 'tmp'),
+      CI: 'true',
+    });
+  });
+});
+
+describe('runShellCommand', () => {
+  const options = { cwd: os.tmpdir(), env: { PATH: process.env.PATH }, timeout: 5000 };
+
+  it('captures stdout, stderr and the exit code', async () => {
+    const run = await runShellCommand('echo out; echo err >&2; exit 3', options);
+
+    expect(run).toMatchObject({ exitCode: 3, stdout: 'out\n', stderr: 'err\n', timedOut: false });
+    expect(run.duration).toBeGreaterThanOrEqual(0);
+  });
+
+  it('kills commands that exceed the timeout', async () => {
+    const run = await runShellCommand('sleep 5', { ...options, timeout: 100 });
+
+    expect(run.timedOut).toBe(true);
+    expect(run.exitCode).not.toBe(0);
+  });
+});
+
+describe('executeCommand', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-exec-'));
+    await fs.mkdir(path.join(cwd, 'docs'));
+    await fs.writeFile(path.join(cwd, 'docs', 'notes.txt'), 'hello\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  function createConfig(overrides = {}) {
+    return {
+      cwd,
+      cacheDir: path.join(cwd, '.cache', 'command-validations'),
+      executionTimeout: 5000,
+      executionSandbox: 'copy',
+      executionEnv: ['PATH'],
+      ...overrides,
+    };
+  }
+
+  it('runs in a disposable copy of the working tree', async () => {
+    const result = createResult('cat notes.txt && touch created.txt && echo "$HOME"', {}, [{ file: 'README.md', line: 1, cwd: 'docs' }]);
+
+    const record = await executeCommand(result, { config: createConfig(), commit: 'abc123', env: process.env });
+
+    expect(record).toMatchObject({
+      command: result.command,
+      exitCode: 0,
+      success: true,
+      stderr: '',
+      commit: 'abc123',
+    });
+    expect(record.stdout.startsWith('hello\n')).toBe(true);
+    expect(record.stdout).not.toContain(os.homedir());
+    expect(Date.parse(record.executedAt)).not.toBeNaN();
+    await expect(fs.access(path.join(cwd, 'docs', 'created.txt'))).rejects.toThrow();
+  });
+
+  it('runs once in each documented directory', async () => {
+    const result = createResult('ls', {}, [{ file: 'README.md', line: 1 }, { file: 'docs/guide.md', line: 4, cwd: 'docs' }]);
+
+    const record = await executeCommand(result, { config: createConfig(), commit: null, env: process.env });
+
+    expect(record.success).toBe(true);
+    expect(record.runs.map(run => run.cwd)).toEqual(['.', 'docs']);
+    expect(record.runs[0].stdout).toContain('docs');
+    expect(record.runs[1].stdout).toContain('notes.txt');
+  });
+
+  it('reports the failing directory when one of the runs fails', async () => {
+    const result = createResult('cat notes.txt', {}, [{ file: 'README.md', line: 1 }, { file: 'docs/guide.md', line: 4, cwd: 'docs' }]);
+
+    const record = await executeCommand(result, { config: createConfig(), commit: null, env: process.env });
+
+    expect(record.success).toBe(false);
+    expect(record.exitCode).not.toBe(0);
+    expect(record.runs.map(run => run.exitCode === 0)).toEqual([false, true]);
+  });
+
+  it('copies the working tree once and resets it between commands', async () => {
+    const sandbox = await createExecutionSandbox(createConfig());
+    try {
+      const context = { config: createConfig(), commit: null, env: process.env, sandbox };
+      await executeCommand(createResult('touch created.txt && echo changed >> docs/notes.txt && echo new > README.md'), context);
+
+      const record = await executeCommand(createResult('ls && cat docs/notes.txt'), context);
+
+      expect(record.success).toBe(true);
+      expect(record.stdout).not.toContain('created.txt');
+      expect(record.stdout).not.toContain('README.md');
+      expect(record.stdout).toContain('hello');
+      expect(record.stdout).not.toContain('changed');
+      await executeCommand(createResult('rm -r docs'), context);
+      expect(await fs.readFile(path.join(sandbox.workDir, 'docs', 'notes.txt'), 'utf-8')).toBe('hello\n');
+    } finally {
+      await sandbox.dispose();
+    }
+  });
+
+  it('leaves node_modules out of the copied working tree', async () => {
+    await fs.mkdir(path.join(cwd, 'node_modules', 'dep'), { recursive: true });
+    await fs.writeFile(path.join(cwd, 'node_modules', 'dep', 'index.js'), '');
+
+    const record = await executeCommand(createResult('ls'), { config: createConfig(), commit: null, env: process.env });
+
+    expect(record.success).toBe(true);
+    expect(record.stdout).toContain('docs');
+    expect(record.stdout).not.toContain('node_modules');
+  });
+
+  it('runs in an empty directory with the temp sandbox', async () => {
+    const record = await executeCommand(createResult('cat docs/notes.txt'), {
+      config: createConfig({ executionSandbox: 'temp' }),
+      commit: null,
+      env: process.env,
+    });
+
+    expect(record.success).toBe(false);
+    expect(record.exitCode).not.toBe(0);
+  });
+});
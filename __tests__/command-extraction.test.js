@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { extractCommandsFromMarkdown, COMMAND_PATTERNS } from '../lib/command-extraction.js';
+import { extractCommandsFromMarkdown, findCodeBlockRanges, COMMAND_PATTERNS } from '../lib/command-extraction.js';
 
 describe('extractCommandsFromMarkdown', () => {
   describe('code block extraction', () => {
@@ -95,6 +95,343 @@ pwd
     });
   });
 
+  describe('line continuations', () => {
+    it('should join backslash-continued lines into one command', () => {
+      const content = `
+\`\`\`bash
+docker run \\
+  -p 8080:80 \\
+  nginx
+npm test
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'docs/docker.md');
+
+      expect(commands).toHaveLength(2);
+      expect(commands[0]).toEqual({
+        command: 'docker run -p 8080:80 nginx',
+        file: 'docs/docker.md',
+        line: 3,
+        endLine: 5,
+        type: 'code-block',
+        language: 'bash',
+      });
+      expect(commands[1]).toEqual({
+        command: 'npm test',
+        file: 'docs/docker.md',
+        line: 6,
+        type: 'code-block',
+        language: 'bash',
+      });
+    });
+
+    it('should join PowerShell backtick continuations', () => {
+      const content = `
+\`\`\`powershell
+New-Item -ItemType Directory \`
+  -Path build
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands).toHaveLength(1);
+      expect(commands[0].command).toBe('New-Item -ItemType Directory -Path build');
+      expect(commands[0].line).toBe(3);
+      expect(commands[0].endLine).toBe(4);
+    });
+
+    it('should not treat a trailing backtick as a continuation in POSIX shells', () => {
+      const content = `
+\`\`\`bash
+echo started \`
+npm test
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands.map(command => command.command)).toEqual(['echo started `', 'npm test']);
+      expect(commands[0]).not.toHaveProperty('endLine');
+    });
+
+    it('should keep long joined commands and ignore escaped trailing backslashes', () => {
+      const content = `
+\`\`\`bash
+docker run --rm --name documentation-preview-container \\
+  --volume "$PWD/site:/usr/share/nginx/html:ro" --publish 8080:80 nginx:latest
+echo C:\\\\
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands).toHaveLength(2);
+      expect(commands[0].command.length).toBeGreaterThan(100);
+      expect(commands[0].endLine).toBe(4);
+      expect(commands[1]).toMatchObject({ command: 'echo C:\\\\', line: 5 });
+      expect(commands[1]).not.toHaveProperty('endLine');
+    });
+
+    it('should flush a continuation left open at the end of the block', () => {
+      const content = '```bash\nnpm run build \\\n```\n';
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands).toHaveLength(1);
+      expect(commands[0].command).toBe('npm run build');
+    });
+  });
+
+  describe('console transcripts', () => {
+    it('should strip prompts and attach output to the preceding command', () => {
+      const content = `
+\`\`\`console
+$ npm install
+added 12 packages in 2s
+
+found 0 vulnerabilities
+$ npm test
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands).toEqual([
+        {
+          command: 'npm install',
+          file: 'README.md',
+          line: 3,
+          type: 'code-block',
+          language: 'console',
+          expectedOutput: 'added 12 packages in 2s\n\nfound 0 vulnerabilities',
+        },
+        {
+          command: 'npm test',
+          file: 'README.md',
+          line: 7,
+          type: 'code-block',
+          language: 'console',
+        },
+      ]);
+    });
+
+    it('should recognise root, PowerShell and continuation prompts', () => {
+      const content = `
+\`\`\`terminal
+# apt-get install -y curl
+PS> Get-ChildItem
+Directory: C:\\work
+$ docker run \\
+>   -p 8080:80 nginx
+listening on 80
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'docs/setup.md');
+
+      expect(commands.map(c => c.command)).toEqual([
+        'apt-get install -y curl',
+        'Get-ChildItem',
+        'docker run -p 8080:80 nginx',
+      ]);
+      expect(commands[1].expectedOutput).toBe('Directory: C:\\work');
+      expect(commands[2]).toMatchObject({ line: 6, endLine: 7, expectedOutput: 'listening on 80' });
+    });
+
+    it('should treat console blocks without prompts like ordinary code blocks', () => {
+      const content = `
+\`\`\`console
+npm run build
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands).toHaveLength(1);
+      expect(commands[0].command).toBe('npm run build');
+      expect(commands[0]).not.toHaveProperty('expectedOutput');
+    });
+
+    it('should leave prompt-like lines in bash blocks untouched', () => {
+      const content = `
+\`\`\`bash
+# install dependencies
+npm install
+\`\`\`
+`;
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands.map(c => c.command)).toEqual(['npm install']);
+    });
+  });
+
+  describe('working directory tracking', () => {
+    it('records the directory entered by a preceding cd in the same block', () => {
+      const content = [
+        '```bash',
+        'cd packages/api',
+        './scripts/seed.sh',
+        'cd ../web && npm test',
+        'npm run build',
+        '```',
+        '',
+        '```bash',
+        './scripts/setup.sh',
+        '```',
+      ].join('\n');
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands.map(({ command, cwd }) => [command, cwd])).toEqual([
+        ['cd packages/api', undefined],
+        ['./scripts/seed.sh', 'packages/api'],
+        ['cd ../web && npm test', 'packages/api'],
+        ['npm run build', 'packages/web'],
+        ['./scripts/setup.sh', undefined],
+      ]);
+    });
+
+    it('marks directories that cannot be resolved statically', () => {
+      const content = '```console\n$ cd ~/projects\n$ ls\n```';
+
+      const commands = extractCommandsFromMarkdown(content, 'README.md');
+
+      expect(commands[1].cwd).toBe('~');
+    });
+  });
+
+  describe('frontmatter', () => {
+    it('skips YAML and TOML frontmatter', () => {
+      const yaml = '---\ntitle: Run `npm run build`\n---\nUse `npm test`.';
+      const toml = '+++\ncommand = "`npm run lint`"\n+++\n```bash\nnpm ci\n```';
+
+      expect(extractCommandsFromMarkdown(yaml, 'docs/a.md').map(({ command, line }) => [command, line]))
+        .toEqual([['npm test', 4]]);
+      expect(extractCommandsFromMarkdown(toml, 'docs/b.md').map(({ command }) => command)).toEqual(['npm ci']);
+    });
+
+    it('scans an unclosed leading rule as normal content', () => {
+      const commands = extractCommandsFromMarkdown('---\nUse `npm test`.', 'docs/a.md');
+
+      expect(commands.map(({ command }) => command)).toEqual(['npm test']);
+    });
+  });
+
+  describe('MDX', () => {
+    it('skips import and export statements', () => {
+      const content = [
+        "import { Tabs } from '@site/components';",
+        'export const meta = {',
+        '  install: `npm install docs-kit`,',
+        '};',
+        '',
+        'Run `npm test` to check.',
+      ].join('\n');
+
+      const commands = extractCommandsFromMarkdown(content, 'docs/intro.mdx');
+
+      expect(commands.map(({ command, line }) => [command, line])).toEqual([['npm test', 6]]);
+    });
+
+    it('extracts commands from JSX code components', () => {
+      const content = [
+        '<Tabs>',
+        '  <TabItem value="npm">',
+        '    ```bash',
+        '    npm install',
+        '    ```',
+        '  </TabItem>',
+        '</Tabs>',
+        '',
+        '<CodeBlock language="bash">',
+        '  npm run build',
+        '  npm run deploy',
+        '</CodeBlock>',
+        '',
+        '<CodeBlock lang="sh">{`yarn test`}</CodeBlock>',
+        '<CodeBlock className="language-bash" code="make docs" />',
+      ].join('\n');
+
+      const commands = extractCommandsFromMarkdown(content, 'docs/install.mdx');
+
+      expect(commands.map(({ command, line, type, language }) => [command, line, type, language])).toEqual([
+        ['npm install', 4, 'code-block', 'bash'],
+        ['npm run build', 10, 'code-block', 'bash'],
+        ['npm run deploy', 11, 'code-block', 'bash'],
+        ['yarn test', 14, 'code-block', 'sh'],
+        ['make docs', 15, 'code-block', 'bash'],
+      ]);
+      expect(findCodeBlockRanges(content, 'docs/install.mdx')).toEqual([
+        { start: 3, end: 5 },
+        { start: 9, end: 12 },
+        { start: 14, end: 14 },
+        { start: 15, end: 15 },
+      ]);
+    });
+
+    it('keeps skipping an export whose object contains blank lines', () => {
+      const content = [
+        'export const meta = {',
+        '  install: `npm install docs-kit`,',
+        '',
+        '  build: `npm run build`,',
+        '  nested: { deploy: `npm run deploy',
+        '',
+        '  --prod` },',
+        '};',
+        '',
+        'Run `npm test` to check.',
+      ].join('\n');
+
+      const commands = extractCommandsFromMarkdown(content, 'docs/intro.mdx');
+
+      expect(commands.map(({ command, line }) => [command, line])).toEqual([['npm test', 10]]);
+    });
+
+    it('reads multi-line component tags and a > inside attribute values', () => {
+      const content = [
+        '<CodeBlock',
+        '  language="bash"',
+        '  title="build > deploy"',
+        '  showLineNumbers={lines > 1}',
+        '>',
+        '  npm run build',
+        '</CodeBlock>',
+        '',
+        '<CodeBlock title="a > b" language="sh">',
+        '  npm test',
+        '</CodeBlock>',
+        '',
+        '<CodeBlock',
+        '  language="bash"',
+        '  code="make docs"',
+        '/>',
+      ].join('\n');
+
+      const commands = extractCommandsFromMarkdown(content, 'docs/install.mdx');
+
+      expect(commands.map(({ command, line, language }) => [command, line, language])).toEqual([
+        ['npm run build', 6, 'bash'],
+        ['npm test', 10, 'sh'],
+        ['make docs', 13, 'bash'],
+      ]);
+      expect(findCodeBlockRanges(content, 'docs/install.mdx')).toEqual([
+        { start: 1, end: 7 },
+        { start: 9, end: 11 },
+        { start: 13, end: 16 },
+      ]);
+    });
+
+    it('leaves JSX syntax alone in plain markdown', () => {
+      const content = "import x from 'y'\n\nRun `npm test`.";
+
+      expect(extractCommandsFromMarkdown(content, 'README.md')).toHaveLength(1);
+    });
+  });
+
   describe('inline code extraction', () => {
     it('should extract commands from inline code', () => {
       const content = `
@@ -194,6 +531,17 @@ echo "Use \`ls -la\` to list files"
   });
 });
 
+describe('findCodeBlockRanges', () => {
+  it('returns fenced block line ranges including the fences', () => {
+    const markdown = '# Title\n\n```bash\nnpm test\n```\n\ntext\n```sh\nls\n';
+
+    expect(findCodeBlockRanges(markdown)).toEqual([
+      { start: 3, end: 5 },
+      { start: 8, end: 10 },
+    ]);
+  });
+});
+
 describe('COMMAND_PATTERNS', () => {
   it('should export the command patterns object', () => {
     expect(COMMAND_PATTERNS).toHaveProperty('codeBlock');
@@ -26,6 +26,7 @@ describe('Configuration loader', () => {
     expect(config.ignore).toEqual(DEFAULT_CONFIG.ignore);
     expect(path.isAbsolute(config.cacheDir)).toBe(true);
     expect(config.cacheDir).toContain(path.sep);
+    expect(config.cacheEnvVars).toEqual([]);
   });
 
   it('resolves JSON configuration overrides', async () => {
@@ -51,6 +52,15 @@ describe('Configuration loader', () => {
     await expect(loadConfiguration(tempDir)).rejects.toThrow(ConfigurationError);
   });
 
+  it('validates the failOn severity threshold', async () => {
+    const configPath = path.join(tempDir, 'command-verify.config.json');
+    await fs.writeFile(configPath, JSON.stringify({ failOn: 'warning' }));
+    expect((await loadConfiguration(tempDir)).failOn).toBe('warning');
+
+    await fs.writeFile(configPath, JSON.stringify({ failOn: 'fatal' }));
+    await expect(loadConfiguration(tempDir)).rejects.toThrow(ConfigurationError);
+  });
+
   it('honours failOnMissingKnowledgeBase flag', async () => {
     const configPath = path.join(tempDir, 'command-verify.config.json');
     await fs.writeFile(configPath, JSON.stringify({
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import os from 'os';
+import path from 'path';
+import { matchExpectedOutput, formatOutputDiff, runDoctest } from '../lib/doctest.js';
+
+describe('matchExpectedOutput', () => {
+  it('compares output with whitespace normalised', () => {
+    expect(matchExpectedOutput('hello   world\n', '  hello world  \n\n')).toBe(true);
+    expect(matchExpectedOutput('hello', 'goodbye')).toBe(false);
+  });
+
+  it('supports inline and whole-line ellipsis wildcards', () => {
+    expect(matchExpectedOutput('v20...', 'v20.11.0')).toBe(true);
+    expect(matchExpectedOutput('Compiled ... files', 'Compiled 42 files')).toBe(true);
+    expect(matchExpectedOutput('start\n...\nend', 'start\none\ntwo\nend')).toBe(true);
+    expect(matchExpectedOutput('start\n...\nend', 'start\nend')).toBe(true);
+    expect(matchExpectedOutput('start\n...\nend', 'start\none')).toBe(false);
+  });
+
+  it('supports regular expression lines', () => {
+    expect(matchExpectedOutput('/^v\\d+\\.\\d+\\.\\d+$/', 'v22.1.0')).toBe(true);
+    expect(matchExpectedOutput('/^v\\d+$/', 'v22.1.0')).toBe(false);
+    expect(matchExpectedOutput('/done/i', 'DONE')).toBe(true);
+  });
+
+  it('matches global and sticky expressions the same way on every line', () => {
+    expect(matchExpectedOutput('/foo/g\n/foo/g', 'foo\nfoo')).toBe(true);
+    expect(matchExpectedOutput('/foo/y\n/foo/y', 'foo\nfoo')).toBe(true);
+    expect(formatOutputDiff('/foo/g\n/foo/g', 'foo\nfoo')).toBe('');
+  });
+});
+
+describe('formatOutputDiff', () => {
+  it('renders a unified diff with context', () => {
+    const diff = formatOutputDiff('one\ntwo\nthree', 'one\n2\nthree\nfour', { label: 'docs/guide.md:5 (documented)' });
+
+    expect(diff).toBe([
+      '--- docs/guide.md:5 (documented)',
+      '+++ actual',
+      '@@ -1,3 +1,4 @@',
+      ' one',
+      '-two',
+      '+2',
+      ' three',
+      '+four',
+    ].join('\n'));
+  });
+
+  it('treats wildcard matches as context', () => {
+    expect(formatOutputDiff('v...\nok', 'v20.1.0\nfailed')).toBe([
+      '--- expected',
+      '+++ actual',
+      '@@ -1,2 +1,2 @@',
+      ' v20.1.0',
+      '-ok',
+      '+failed',
+    ].join('\n'));
+  });
+
+  it('returns an empty string when nothing differs', () => {
+    expect(formatOutputDiff('same', 'same')).toBe('');
+  });
+});
+
+describe('runDoctest', () => {
+  const config = {
+    cwd: process.cwd(),
+    cacheDir: path.join(os.tmpdir(), 'unused-cache'),
+    executionTimeout: 5000,
+    executionEnv: ['PATH'],
+  };
+
+  it('reports each documenting location whose output differs', async () => {
+    const result = {
+      command: 'echo hello',
+      locations: [
+        { file: 'README.md', line: 3, expectedOutput: 'hello' },
+        { file: 'docs/guide.md', line: 8, expectedOutput: 'goodbye' },
+        { file: 'docs/other.md', line: 2 },
+      ],
+    };
+
+    const { record, mismatches } = await runDoctest(result, { config, commit: null, env: process.env });
+
+    expect(record.stdout).toBe('hello\n');
+    expect(mismatches).toHaveLength(1);
+    expect(mismatches[0].location.file).toBe('docs/guide.md');
+    expect(mismatches[0].diff).toContain('--- docs/guide.md:8 (documented)');
+    expect(mismatches[0].diff).toContain('-goodbye\n+hello');
+  });
+
+  it('runs in an empty temp directory rather than the working tree', async () => {
+    const result = { command: 'ls', locations: [{ file: 'README.md', line: 1, expectedOutput: '' }] };
+
+    const { mismatches } = await runDoctest(result, { config, commit: null, env: process.env });
+
+    expect(mismatches).toEqual([]);
+  });
+
+  it('reuses an execution from --execute instead of running again', async () => {
+    const result = { command: 'echo hello', locations: [{ file: 'README.md', line: 1, expectedOutput: 'cached' }] };
+    const record = { command: 'echo hello', stdout: 'cached\n', stderr: '', exitCode: 0, success: true };
+
+    const doctest = await runDoctest(result, { config, commit: null, env: process.env, record });
+
+    expect(doctest.record).toBe(record);
+    expect(doctest.mismatches).toEqual([]);
+  });
+
+  it('compares each location with the run in its own directory', async () => {
+    const result = {
+      command: 'pwd',
+      locations: [
+        { file: 'README.md', line: 1, expectedOutput: '.../work' },
+        { file: 'docs/guide.md', line: 4, cwd: 'docs', expectedOutput: '.../work' },
+      ],
+    };
+
+    const { mismatches } = await runDoctest(result, { config, commit: null, env: process.env });
+
+    expect(mismatches.map(mismatch => mismatch.location.file)).toEqual(['docs/guide.md']);
+  });
+});
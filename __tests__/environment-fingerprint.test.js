@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  resolveExecutable,
+  createFingerprinter,
+  describeFingerprintChange,
+  describePortableFingerprintChange,
+} from '../lib/environment-fingerprint.js';
+
+const describePosix = process.platform === 'win32' ? describe.skip : describe;
+
+async function installTool(directory, name, content = '#!/bin/sh\necho ok\n') {
+  const file = path.join(directory, name);
+  await fs.writeFile(file, content);
+  await fs.chmod(file, 0o755);
+  return file;
+}
+
+describePosix('Environment fingerprint', () => {
+  let root;
+  let firstBin;
+  let secondBin;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-env-'));
+    firstBin = path.join(root, 'bin1');
+    secondBin = path.join(root, 'bin2');
+    await fs.mkdir(firstBin);
+    await fs.mkdir(secondBin);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('resolves executables from PATH in order and skips non-executable files', async () => {
+    const tool = await installTool(secondBin, 'mytool');
+    await fs.writeFile(path.join(firstBin, 'mytool'), 'not executable');
+    const env = { PATH: `${firstBin}:${secondBin}` };
+
+    expect(await resolveExecutable('mytool', { env })).toMatchObject({ path: tool, size: 18 });
+    expect(await resolveExecutable('missing-tool', { env })).toBeNull();
+    expect(await resolveExecutable('./mytool', { env })).toBeNull();
+  });
+
+  it('reports why a stored fingerprint no longer matches', async () => {
+    const tool = await installTool(firstBin, 'mytool');
+    const fingerprintFor = env => createFingerprinter({ env, envVars: ['PATH', 'NODE_ENV'] })('FOO=1 mytool --version');
+    const env = { PATH: firstBin, NODE_ENV: 'test' };
+    const stored = await fingerprintFor(env);
+
+    expect(stored.executable).toMatchObject({ name: 'mytool', path: tool });
+    expect(describeFingerprintChange(stored, await fingerprintFor(env))).toBeNull();
+    expect(describeFingerprintChange(stored, await fingerprintFor({ ...env, NODE_ENV: 'production' })))
+      .toBe('environment variables changed (NODE_ENV)');
+
+    const moved = await installTool(secondBin, 'mytool');
+    expect(describeFingerprintChange(stored, await fingerprintFor({ ...env, PATH: secondBin })))
+      .toBe(`"mytool" now resolves to ${moved} (was ${tool})`);
+
+    await installTool(firstBin, 'mytool', '#!/bin/sh\necho upgraded\n');
+    expect(describeFingerprintChange(stored, await fingerprintFor(env))).toBe('"mytool" was modified or upgraded');
+
+    await fs.rm(tool);
+    expect(describeFingerprintChange(stored, await fingerprintFor(env))).toBe('"mytool" is no longer on PATH');
+  });
+
+  it('ignores paths, modification times and variables when comparing portable parts', async () => {
+    const tool = await installTool(firstBin, 'mytool');
+    const fingerprintFor = env => createFingerprinter({ env, envVars: ['PATH'] })('mytool --version');
+    const stored = await fingerprintFor({ PATH: firstBin });
+
+    await installTool(secondBin, 'mytool', '#!/bin/sh\necho upgraded\n');
+    expect(describePortableFingerprintChange(stored, await fingerprintFor({ PATH: secondBin }))).toBeNull();
+
+    await fs.rm(tool);
+    expect(describePortableFingerprintChange(stored, await fingerprintFor({ PATH: firstBin })))
+      .toBe('"mytool" is not on PATH');
+    expect(describePortableFingerprintChange({ ...stored, platform: 'darwin' }, stored))
+      .toBe(`platform changed (darwin → ${stored.platform})`);
+  });
+
+  it('treats entries without a fingerprint or from another platform as stale', async () => {
+    const current = await createFingerprinter({ env: {}, platform: 'linux' })('ls');
+
+    expect(describeFingerprintChange(undefined, current)).toBe('no environment fingerprint recorded');
+    expect(describeFingerprintChange({ ...current, platform: 'darwin' }, current))
+      .toBe('platform changed (darwin → linux)');
+  });
+});
@@ -260,4 +260,56 @@ describe('File discovery', () => {
       await fs.rm(cwd, { recursive: true, force: true });
     }
   });
+
+  it('skips files excluded by .gitignore and .commandverifyignore', async () => {
+    const cwd = await createFixture();
+    await fs.mkdir(path.join(cwd, 'site'), { recursive: true });
+    await fs.writeFile(path.join(cwd, 'site', 'index.md'), '# Built');
+    await fs.writeFile(path.join(cwd, 'docs', 'draft.md'), '# Draft');
+    await fs.writeFile(path.join(cwd, '.gitignore'), 'site/\n');
+    await fs.writeFile(path.join(cwd, 'docs', '.commandverifyignore'), 'draft.md\n');
+
+    try {
+      const expected = ['README.md', path.normalize('docs/guide.md')].sort();
+      const withGlob = await findMatchingFiles(['**/*.md'], { cwd, ignore: [], respectIgnoreFiles: true });
+      expect(withGlob.sort()).toEqual(expected);
+
+      const unavailable = async() => {
+        throw Object.assign(new Error('Cannot find module'), { code: 'ERR_MODULE_NOT_FOUND' });
+      };
+      __setFileDiscoveryModule('glob', { glob: unavailable });
+      __setFileDiscoveryModule('fast-glob', { default: unavailable });
+      const native = await findMatchingFiles(['**/*.md'], { cwd, ignore: [], respectIgnoreFiles: true, logger: null });
+      expect(native.sort()).toEqual(expected);
+
+      const unfiltered = await findMatchingFiles(['**/*.md'], { cwd, ignore: [], logger: null });
+      expect(unfiltered).toContain(path.normalize('site/index.md'));
+    } finally {
+      await fs.rm(cwd, { recursive: true, force: true });
+    }
+  });
+
+  it('gives the same results with the native fallback for brace and negated patterns', async () => {
+    const cwd = await createFixture();
+    await fs.mkdir(path.join(cwd, '.github'), { recursive: true });
+    await fs.writeFile(path.join(cwd, '.github', 'CONTRIBUTING.md'), '# Contributing');
+    await fs.writeFile(path.join(cwd, 'docs', 'intro.mdx'), '# Intro');
+    const patterns = ['**/*.{md,mdx}', '!README.md'];
+
+    try {
+      const withGlob = await findMatchingFiles(patterns, { cwd, ignore: [] });
+
+      const unavailable = async() => {
+        throw Object.assign(new Error('Cannot find module'), { code: 'ERR_MODULE_NOT_FOUND' });
+      };
+      __setFileDiscoveryModule('glob', { glob: unavailable });
+      __setFileDiscoveryModule('fast-glob', { default: unavailable });
+      const native = await findMatchingFiles(patterns, { cwd, ignore: [], logger: null });
+
+      expect(withGlob.sort()).toEqual([path.normalize('docs/guide.md'), path.normalize('docs/intro.mdx')]);
+      expect(native.sort()).toEqual(withGlob.sort());
+    } finally {
+      await fs.rm(cwd, { recursive: true, force: true });
+    }
+  });
 });
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { parseUnifiedDiff, collectChangedLines, hunkTouchesRange } from '../lib/git-diff.js';
+
+const SAMPLE_DIFF = [
+  'diff --git a/README.md b/README.md',
+  'index 1111111..2222222 100644',
+  '--- a/README.md',
+  '+++ b/README.md',
+  '@@ -3 +3,2 @@ Intro',
+  '-npm run old',
+  '+npm run build',
+  '+npm test',
+  '@@ -10,2 +11,0 @@',
+  '-removed line',
+  '--- dashes in removed content',
+  'diff --git a/docs/old.md b/docs/new.md',
+  'similarity index 90%',
+  'rename from docs/old.md',
+  'rename to docs/new.md',
+  '--- a/docs/old.md',
+  '+++ b/docs/new.md',
+  '@@ -5,0 +6 @@',
+  '+make release',
+  'diff --git a/docs/gone.md b/docs/gone.md',
+  'deleted file mode 100644',
+  '--- a/docs/gone.md',
+  '+++ /dev/null',
+  '@@ -1 +0,0 @@',
+  '-ls',
+  'diff --git a/docs/added.md b/docs/added.md',
+  'new file mode 100644',
+  '--- /dev/null',
+  '+++ b/docs/added.md',
+  '@@ -0,0 +1,2 @@',
+  '+# Added',
+  '+pwd',
+].join('\n');
+
+describe('parseUnifiedDiff', () => {
+  it('parses files, renames and hunk ranges', () => {
+    const files = parseUnifiedDiff(SAMPLE_DIFF);
+
+    expect(files.map(({ file, oldFile }) => [oldFile, file])).toEqual([
+      ['README.md', 'README.md'],
+      ['docs/old.md', 'docs/new.md'],
+      ['docs/gone.md', null],
+      [null, 'docs/added.md'],
+    ]);
+    expect(files[0].hunks).toEqual([
+      { oldStart: 3, oldLines: 1, newStart: 3, newLines: 2, added: [3, 4] },
+      { oldStart: 10, oldLines: 2, newStart: 11, newLines: 0, added: [] },
+    ]);
+    expect(files[1].hunks[0]).toMatchObject({ oldStart: 5, oldLines: 0, newStart: 6, newLines: 1, added: [6] });
+  });
+
+  it('handles quoted paths and empty input', () => {
+    const [entry] = parseUnifiedDiff([
+      'diff --git "a/docs/with space.md" "b/docs/with space.md"',
+      '--- "a/docs/with space.md"',
+      '+++ "b/docs/with space.md"',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b',
+    ].join('\n'));
+
+    expect(entry.file).toBe('docs/with space.md');
+    expect(parseUnifiedDiff('')).toEqual([]);
+  });
+});
+
+describe('collectChangedLines', () => {
+  it('collects added line numbers across hunks', () => {
+    const [readme, , , added] = parseUnifiedDiff(SAMPLE_DIFF);
+
+    expect([...collectChangedLines(readme.hunks)]).toEqual([3, 4]);
+    expect([...collectChangedLines(added.hunks)]).toEqual([1, 2]);
+  });
+});
+
+describe('hunkTouchesRange', () => {
+  it('detects changed and deleted lines inside a range', () => {
+    const [readme] = parseUnifiedDiff(SAMPLE_DIFF);
+    const [changed, deleted] = readme.hunks;
+
+    expect(hunkTouchesRange(changed, 4, 6)).toBe(true);
+    expect(hunkTouchesRange(changed, 5, 8)).toBe(false);
+    expect(hunkTouchesRange(deleted, 9, 12)).toBe(true);
+    expect(hunkTouchesRange(deleted, 1, 11)).toBe(false);
+  });
+});
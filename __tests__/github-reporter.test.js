@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { formatGithubAnnotations } from '../lib/reporters/github.js';
+
+function createVerification(results) {
+  return { config: { treatUnknownAsWarnings: true }, results };
+}
+
+describe('GitHub Actions annotations', () => {
+  it('emits error and warning workflow commands with file and line', () => {
+    const output = formatGithubAnnotations(createVerification([
+      {
+        command: 'rm -rf dist',
+        locations: [{ file: 'README.md', line: 12 }],
+        validation: {
+          category: 'dangerous',
+          available: true,
+          severity: 'error',
+          suggestion: 'Add a warning to the documentation or provide a safer alternative command.',
+        },
+      },
+      {
+        command: 'cargo build',
+        locations: [{ file: 'docs/rust.md', line: 4, endLine: 6 }],
+        validation: { category: 'safe', available: false, severity: 'warning' },
+      },
+    ]));
+
+    const lines = output.trim().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toBe(
+      '::error file=README.md,line=12,title=command-verify%3A rm -rf dist::'
+      + 'Flagged as dangerous. Do not auto-run this command.%0A'
+      + 'Add a warning to the documentation or provide a safer alternative command.',
+    );
+    expect(lines[1].startsWith('::warning file=docs/rust.md,line=4,endLine=6,')).toBe(true);
+  });
+
+  it('skips informational results and escapes property delimiters', () => {
+    const output = formatGithubAnnotations(createVerification([
+      {
+        command: 'npm test',
+        locations: [{ file: 'README.md', line: 1 }],
+        validation: { category: 'safe', available: true, severity: 'info' },
+      },
+      {
+        command: 'weird, tool: 100%',
+        locations: [{ file: 'docs/a,b.md', line: 2 }],
+        validation: { category: 'unknown', available: true, severity: 'warning' },
+      },
+    ]));
+
+    expect(output).toContain('file=docs/a%2Cb.md');
+    expect(output).toContain('title=command-verify%3A weird%2C tool%3A 100%25');
+    expect(output).not.toContain('npm test');
+  });
+
+  it('returns an empty string when there is nothing to annotate', () => {
+    expect(formatGithubAnnotations(createVerification([]))).toBe('');
+  });
+});
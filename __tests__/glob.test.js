@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { glob } from 'glob';
+import {
+  expandBraces,
+  matchesGlob,
+  createGlobMatcher,
+  createGlobIgnore,
+  partitionPatterns,
+} from '../lib/glob.js';
+
+const FIXTURE_FILES = [
+  'README.md',
+  'CHANGELOG.md',
+  '.hidden.md',
+  'notes.txt',
+  'a1.md',
+  'a2.md',
+  'a10.md',
+  '[draft].md',
+  'docs/guide.md',
+  'docs/intro.mdx',
+  'docs/api/index.md',
+  'docs/api/v2/index.mdx',
+  'docs/.drafts/wip.md',
+  'docs/b.md',
+  'docs/c.md',
+  'node_modules/pkg/README.md',
+  'node_modules/pkg/docs/usage.md',
+  '.github/CONTRIBUTING.md',
+  'packages/core/README.md',
+  'packages/core/node_modules/dep/README.md',
+  'packages/cli/docs/usage.md',
+  'site/index.md',
+];
+
+const CONFORMANCE_PATTERNS = [
+  '**/*.md',
+  '*.md',
+  '**/*.{md,mdx}',
+  'docs/**',
+  'docs/**/*.md',
+  'docs/*',
+  'docs/?.md',
+  'docs/[bc].md',
+  'docs/[!b].md',
+  'docs/[[:alpha:]].md',
+  'a{1..3}.md',
+  'a?.md',
+  'a*.md',
+  '\\[draft\\].md',
+  '**/README.md',
+  'packages/*/README.md',
+  'packages/**/docs/*.md',
+  '**/api/**',
+  '.github/*.md',
+  '**/.github/*.md',
+  '**/.drafts/*.md',
+  '.*.md',
+  './docs/*.md',
+  '{docs,site}/**/*.md',
+];
+
+const CONFORMANCE_IGNORES = [
+  ['node_modules/**'],
+  ['**/node_modules/**'],
+  ['docs/api/**', 'site/**'],
+  ['**/*.mdx'],
+  ['CHANGELOG.md', 'docs/*.md'],
+  ['{node_modules,packages}/**'],
+];
+
+describe('expandBraces', () => {
+  it('expands alternatives, nested braces and sequences', () => {
+    expect(expandBraces('*.{md,mdx}')).toEqual(['*.md', '*.mdx']);
+    expect(expandBraces('{a,b{1,2}}/x')).toEqual(['a/x', 'b1/x', 'b2/x']);
+    expect(expandBraces('v{1..3}')).toEqual(['v1', 'v2', 'v3']);
+    expect(expandBraces('{01..03}')).toEqual(['01', '02', '03']);
+    expect(expandBraces('{c..a}')).toEqual(['c', 'b', 'a']);
+  });
+
+  it('keeps single items, escaped and unbalanced braces literal', () => {
+    expect(expandBraces('{md}')).toEqual(['{md}']);
+    expect(expandBraces('\\{a,b}')).toEqual(['\\{a,b}']);
+    expect(expandBraces('{a,b')).toEqual(['{a,b']);
+  });
+});
+
+describe('matchesGlob', () => {
+  it('lets a leading ** match zero directories', () => {
+    expect(matchesGlob('README.md', '**/*.md')).toBe(true);
+    expect(matchesGlob('a/b', 'a/**/b')).toBe(true);
+    expect(matchesGlob('a/x/y/b', 'a/**/b')).toBe(true);
+  });
+
+  it('only matches dotfiles with a literal dot or the dot option', () => {
+    expect(matchesGlob('.github/a.md', '**/*.md')).toBe(false);
+    expect(matchesGlob('.github/a.md', '**/*.md', { dot: true })).toBe(true);
+    expect(matchesGlob('.github/a.md', '.github/*.md')).toBe(true);
+    expect(matchesGlob('..', '*', { dot: true })).toBe(false);
+  });
+
+  it('supports character classes and negation', () => {
+    expect(matchesGlob('v1.md', 'v[0-9].md')).toBe(true);
+    expect(matchesGlob('va.md', 'v[!0-9].md')).toBe(true);
+    expect(matchesGlob('a/b', 'a[/]b')).toBe(false);
+    expect(matchesGlob('CHANGELOG.md', '!CHANGELOG.md')).toBe(false);
+    expect(matchesGlob('README.md', '!CHANGELOG.md')).toBe(true);
+  });
+});
+
+describe('pattern lists', () => {
+  it('treats ! entries as exclusions', () => {
+    expect(partitionPatterns(['**/*.md', '!CHANGELOG.md'])).toEqual({
+      include: ['**/*.md'],
+      exclude: ['CHANGELOG.md'],
+    });
+
+    const matches = createGlobMatcher(['**/*.md', '!docs/archive/**']);
+    expect(matches('docs/guide.md')).toBe(true);
+    expect(matches('docs/archive/old.md')).toBe(false);
+  });
+
+  it('ignores whole directories for patterns ending in /**', () => {
+    const ignore = createGlobIgnore(['dist/**', '*.log']);
+    expect(ignore.childrenIgnored('dist')).toBe(true);
+    expect(ignore.isIgnored('dist/deep/file.md')).toBe(true);
+    expect(ignore.isIgnored('.log')).toBe(true);
+    expect(ignore.isIgnored('src/dist.md')).toBe(false);
+  });
+});
+
+describe('conformance with the glob package', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-glob-'));
+    for (const file of FIXTURE_FILES) {
+      await fs.mkdir(path.join(root, path.dirname(file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), '');
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  async function expected(pattern, ignore = []) {
+    const matches = await glob(pattern, { cwd: root, nodir: true, dot: false, posix: true, ignore });
+    return matches.sort();
+  }
+
+  function actual(pattern, ignore = []) {
+    const matches = createGlobMatcher([pattern]);
+    const ignored = createGlobIgnore(ignore);
+    return FIXTURE_FILES.filter(file => matches(file) && !ignored.isIgnored(file)).sort();
+  }
+
+  it.each(CONFORMANCE_PATTERNS)('matches the same files for %s', async pattern => {
+    expect(actual(pattern)).toEqual(await expected(pattern));
+  });
+
+  it.each(CONFORMANCE_IGNORES)('applies ignore patterns the same way (%s)', async (...ignore) => {
+    expect(actual('**/*', ignore)).toEqual(await expected('**/*', ignore));
+    expect(actual('**/*.md', ignore)).toEqual(await expected('**/*.md', ignore));
+  });
+});
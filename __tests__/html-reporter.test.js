@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { formatHtmlReport } from '../lib/reporters/html.js';
+
+describe('HTML reporter', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-html-'));
+    await fs.mkdir(path.join(cwd, 'docs'), { recursive: true });
+    await fs.writeFile(
+      path.join(cwd, 'docs', 'guide.md'),
+      '# Guide\n\nRun the suite:\n\n```bash\nnpm test\n```\n\nThen clean up.\n',
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  function createVerification() {
+    return {
+      commit: '0123456789abcdef',
+      config: { cwd, treatUnknownAsWarnings: true },
+      summary: { total: 2, safe: 1, dangerous: 1, unavailable: 0, cache: { hitRate: 50 } },
+      results: [
+        {
+          command: 'npm test',
+          cached: true,
+          locations: [{ file: 'docs/guide.md', line: 6 }],
+          validation: { category: 'safe', available: true, severity: 'info' },
+        },
+        {
+          command: 'rm -rf <dist>',
+          cached: false,
+          locations: [{ file: 'README.md', line: 3 }],
+          validation: {
+            category: 'dangerous',
+            available: true,
+            severity: 'error',
+            suggestion: 'Add a warning to the documentation or provide a safer alternative command.',
+          },
+        },
+      ],
+    };
+  }
+
+  it('renders a single self-contained page grouped by file', async () => {
+    const html = await formatHtmlReport(createVerification());
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<summary>README.md (1)</summary>');
+    expect(html).toContain('<summary>docs/guide.md (1)</summary>');
+    expect(html.indexOf('docs/guide.md (1)')).toBeLessThan(html.indexOf('README.md (1)'));
+    expect(html).not.toMatch(/<(link|script) [^>]*src=/);
+  });
+
+  it('shows context lines, cache status, filters and suggestions', async () => {
+    const html = await formatHtmlReport(createVerification());
+
+    expect(html).toContain('<span class="hit">6  npm test</span>');
+    expect(html).toContain('4  \n');
+    expect(html).toContain('from cache');
+    expect(html).toContain('validated this run');
+    expect(html).toContain('data-category="dangerous" data-available="available"');
+    expect(html).toContain('<option value="dangerous">dangerous</option>');
+    expect(html).toContain('Add a warning to the documentation');
+  });
+
+  it('escapes command text and tolerates unreadable files', async () => {
+    const html = await formatHtmlReport(createVerification());
+
+    expect(html).toContain('<code>rm -rf &lt;dist&gt;</code>');
+    expect(html).not.toContain('<dist>');
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { compileIgnoreRule, createIgnoreMatcher } from '../lib/ignore-files.js';
+
+describe('compileIgnoreRule', () => {
+  it('skips blank lines and comments', () => {
+    expect(compileIgnoreRule('')).toBeNull();
+    expect(compileIgnoreRule('   ')).toBeNull();
+    expect(compileIgnoreRule('# comment')).toBeNull();
+    expect(compileIgnoreRule('\\#notes.md').regex.test('#notes.md')).toBe(true);
+  });
+
+  it('matches unanchored names at any depth and anchored paths from the base', () => {
+    const name = compileIgnoreRule('coverage');
+    expect(name.regex.test('coverage')).toBe(true);
+    expect(name.regex.test('packages/a/coverage')).toBe(true);
+
+    const anchored = compileIgnoreRule('/site');
+    expect(anchored.regex.test('site')).toBe(true);
+    expect(anchored.regex.test('docs/site')).toBe(false);
+
+    const nested = compileIgnoreRule('docs/*.md');
+    expect(nested.regex.test('docs/a.md')).toBe(true);
+    expect(nested.regex.test('docs/deep/a.md')).toBe(false);
+  });
+
+  it('supports double stars, classes, negation and directory-only rules', () => {
+    expect(compileIgnoreRule('**/generated/*.md').regex.test('generated/a.md')).toBe(true);
+    expect(compileIgnoreRule('a/**/b').regex.test('a/x/y/b')).toBe(true);
+    expect(compileIgnoreRule('a/**/b').regex.test('a/b')).toBe(true);
+    expect(compileIgnoreRule('vendor/**').regex.test('vendor/lib/x.md')).toBe(true);
+    expect(compileIgnoreRule('CHANGELOG-[0-9].md').regex.test('CHANGELOG-3.md')).toBe(true);
+    expect(compileIgnoreRule('[!a]*.md').regex.test('a.md')).toBe(false);
+
+    expect(compileIgnoreRule('!keep.md')).toMatchObject({ negated: true });
+    expect(compileIgnoreRule('build/')).toMatchObject({ directoryOnly: true });
+  });
+
+  it('matches dotfiles and treats braces literally', () => {
+    expect(compileIgnoreRule('*.log').regex.test('logs/.hidden.log')).toBe(true);
+    expect(compileIgnoreRule('docs/**').regex.test('docs/.vitepress/config.md')).toBe(true);
+    expect(compileIgnoreRule('{a,b}.md').regex.test('{a,b}.md')).toBe(true);
+    expect(compileIgnoreRule('{a,b}.md').regex.test('a.md')).toBe(false);
+  });
+});
+
+describe('createIgnoreMatcher', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-ignore-'));
+    await fs.mkdir(path.join(root, '.git', 'info'), { recursive: true });
+    await fs.mkdir(path.join(root, 'docs', 'generated'), { recursive: true });
+    await fs.writeFile(path.join(root, '.gitignore'), 'coverage/\n*.log\nsite\n');
+    await fs.writeFile(path.join(root, '.git', 'info', 'exclude'), 'scratch.md\n');
+    await fs.writeFile(path.join(root, 'docs', '.gitignore'), 'generated/*\n!generated/index.md\n');
+    await fs.writeFile(path.join(root, '.commandverifyignore'), 'CHANGELOG.md\n!debug.log\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('applies ignore files from every directory level', async () => {
+    const matcher = createIgnoreMatcher(root);
+
+    expect(await matcher.isIgnored('coverage', { isDirectory: true })).toBe(true);
+    expect(await matcher.isIgnored('coverage/report.md')).toBe(true);
+    expect(await matcher.isIgnored('packages/site/README.md')).toBe(true);
+    expect(await matcher.isIgnored('scratch.md')).toBe(true);
+    expect(await matcher.isIgnored('CHANGELOG.md')).toBe(true);
+    expect(await matcher.isIgnored('docs/generated/api.md')).toBe(true);
+    expect(await matcher.isIgnored('README.md')).toBe(false);
+  });
+
+  it('re-includes negated paths unless a parent directory is excluded', async () => {
+    const matcher = createIgnoreMatcher(root);
+
+    expect(await matcher.isIgnored('docs/generated/index.md')).toBe(false);
+    expect(await matcher.isIgnored('debug.log')).toBe(false);
+    expect(await matcher.isIgnored('other.log')).toBe(true);
+
+    await fs.writeFile(path.join(root, '.commandverifyignore'), '!coverage/keep.md\n');
+    expect(await createIgnoreMatcher(root).isIgnored('coverage/keep.md')).toBe(true);
+  });
+});
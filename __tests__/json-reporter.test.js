@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { buildJsonReport, formatJsonReport, JSON_REPORT_VERSION } from '../lib/reporters/json.js';
+
+function createVerification() {
+  return {
+    commit: 'abc123',
+    summary: { total: 2, safe: 1, dangerous: 1 },
+    results: [
+      {
+        command: 'npm test',
+        locations: [{ file: 'README.md', line: 4, type: 'code-block', language: 'bash' }],
+        cached: true,
+        validation: {
+          category: 'safe',
+          confidence: 0.95,
+          available: true,
+          success: true,
+          severity: 'info',
+          message: 'README.md:4: Validated as safe.',
+          validatedAt: '2025-01-01T00:00:00.000Z',
+        },
+      },
+      {
+        command: 'rm -rf dist',
+        locations: [{ file: 'docs/clean.md', line: 2, type: 'inline', language: null }],
+        validation: {
+          category: 'dangerous',
+          confidence: 0.95,
+          available: true,
+          success: false,
+          severity: 'error',
+          message: 'docs/clean.md:2: Flagged as dangerous. Do not auto-run this command.',
+          suggestion: 'Add a warning to the documentation or provide a safer alternative command.',
+          validatedAt: '2025-01-01T00:00:00.000Z',
+        },
+      },
+    ],
+  };
+}
+
+describe('JSON reporter', () => {
+  it('builds a versioned report with summary and per-command details', () => {
+    const report = buildJsonReport(createVerification());
+
+    expect(report.version).toBe(JSON_REPORT_VERSION);
+    expect(report.tool).toBe('command-verify');
+    expect(report.commit).toBe('abc123');
+    expect(report.summary.total).toBe(2);
+    expect(report.commands).toHaveLength(2);
+    expect(report.commands[0]).toMatchObject({
+      command: 'npm test',
+      category: 'safe',
+      available: true,
+      severity: 'info',
+      suggestion: null,
+      cached: true,
+    });
+    expect(report.commands[1]).toMatchObject({
+      command: 'rm -rf dist',
+      locations: [{ file: 'docs/clean.md', line: 2 }],
+      severity: 'error',
+      cached: false,
+    });
+  });
+
+  it('formats the report as parseable JSON terminated by a newline', () => {
+    const output = formatJsonReport(createVerification());
+
+    expect(output.endsWith('\n')).toBe(true);
+    expect(JSON.parse(output).commands[1].category).toBe('dangerous');
+  });
+});
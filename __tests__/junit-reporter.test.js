@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { formatJunitReport } from '../lib/reporters/junit.js';
+
+function createVerification(config = {}) {
+  return {
+    config: { treatUnknownAsWarnings: true, failOn: null, ...config },
+    summary: { durationMs: 1500 },
+    results: [
+      {
+        command: 'npm test',
+        locations: [{ file: 'README.md', line: 3 }, { file: 'docs/guide.md', line: 8 }],
+        validation: { category: 'safe', available: true, severity: 'info' },
+      },
+      {
+        command: 'rm -rf "dist" && echo <done>',
+        locations: [{ file: 'README.md', line: 12 }],
+        validation: { category: 'dangerous', available: true, severity: 'error' },
+      },
+      {
+        command: 'frobnicate --all',
+        locations: [{ file: 'docs/guide.md', line: 20 }],
+        validation: { category: 'unknown', available: false, severity: 'warning' },
+      },
+    ],
+  };
+}
+
+function extractSuite(xml, name) {
+  const start = xml.indexOf(`<testsuite name="${name}"`);
+  const end = xml.indexOf('</testsuite>', start);
+  return xml.slice(start, end);
+}
+
+describe('JUnit reporter', () => {
+  it('writes one testsuite per markdown file and one testcase per occurrence', () => {
+    const xml = formatJunitReport(createVerification());
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(xml).toContain('<testsuites name="command-verify" tests="4" failures="1" errors="0" skipped="1" time="1.500">');
+    expect(xml.match(/<testsuite /g)).toHaveLength(2);
+    expect(extractSuite(xml, 'README.md')).toContain('tests="2" failures="1"');
+    expect(extractSuite(xml, 'docs/guide.md')).toContain('tests="2" failures="0" errors="0" skipped="1"');
+  });
+
+  it('puts file:line in the classname and escapes command text', () => {
+    const xml = formatJunitReport(createVerification());
+
+    expect(xml).toContain('<testcase name="npm test" classname="docs/guide.md:8" time="0"></testcase>');
+    expect(xml).toContain('name="rm -rf &quot;dist&quot; &amp;&amp; echo &lt;done&gt;" classname="README.md:12"');
+    expect(xml).toContain('<failure message="Flagged as dangerous. Do not auto-run this command." type="dangerous">');
+  });
+
+  it('drops control characters XML cannot represent', () => {
+    const verification = createVerification();
+    verification.results[0].command = 'printf "a\u0001b\tc\u001F"';
+
+    const xml = formatJunitReport(verification);
+
+    expect(xml).toContain('<testcase name="printf &quot;ab\tc&quot;" classname="README.md:3"');
+  });
+
+  it('marks warnings as skipped unless the failOn threshold includes them', () => {
+    const lenient = formatJunitReport(createVerification());
+    expect(extractSuite(lenient, 'docs/guide.md')).toContain('<skipped message="Unknown command pattern and not found on this system."/>');
+
+    const strict = formatJunitReport(createVerification({ failOn: 'warning' }));
+    expect(extractSuite(strict, 'docs/guide.md')).toContain('<failure message="Unknown command pattern and not found on this system." type="unknown">');
+  });
+});
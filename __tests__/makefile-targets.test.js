@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { parseMakeInvocation, parseMakefile, createMakeTargetValidator } from '../lib/makefile-targets.js';
+
+describe('parseMakeInvocation', () => {
+  it('collects targets and skips options and variable overrides', () => {
+    expect(parseMakeInvocation('make release')).toEqual({ targets: ['release'], directory: null, makefile: null });
+    expect(parseMakeInvocation('make -j 4 build test VERBOSE=1')).toMatchObject({ targets: ['build', 'test'] });
+    expect(parseMakeInvocation('make')).toMatchObject({ targets: [] });
+  });
+
+  it('reads directory and makefile options', () => {
+    expect(parseMakeInvocation('make -C docs html')).toMatchObject({ targets: ['html'], directory: 'docs' });
+    expect(parseMakeInvocation('make --directory=docs -f build.mk all')).toMatchObject({
+      targets: ['all'],
+      directory: 'docs',
+      makefile: 'build.mk',
+    });
+  });
+
+  it('ignores other commands and placeholders', () => {
+    expect(parseMakeInvocation('cmake ..')).toBeNull();
+    expect(parseMakeInvocation('make <target>')).toBeNull();
+  });
+});
+
+describe('parseMakefile', () => {
+  it('extracts rule, .PHONY and pattern targets', () => {
+    const parsed = parseMakefile([
+      'CC := gcc',
+      'VERSION ?= 1.0',
+      '.PHONY: release clean \\',
+      '  docs',
+      '',
+      'build test: deps',
+      '\t$(CC) -o app main.c # not: a target',
+      '%.o: %.c',
+      'define RECIPE',
+      'fake: target',
+      'endef',
+      '-include local.mk',
+    ].join('\n'));
+
+    expect([...parsed.targets].sort()).toEqual(['build', 'clean', 'docs', 'release', 'test']);
+    expect(parsed.patterns).toEqual(['%.o']);
+    expect(parsed.includes).toEqual(['local.mk']);
+    expect(parsed.dynamic).toBe(false);
+  });
+
+  it('flags targets computed from variables', () => {
+    expect(parseMakefile('$(BIN): main.o\n').dynamic).toBe(true);
+  });
+});
+
+describe('createMakeTargetValidator', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-make-'));
+    await fs.writeFile(path.join(cwd, 'Makefile'), 'include tools/release.mk\n\n.PHONY: build\nbuild:\n\tgo build\n');
+    await fs.mkdir(path.join(cwd, 'tools'));
+    await fs.writeFile(path.join(cwd, 'tools', 'release.mk'), 'release: build\n\t./release.sh\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  function validateAt(command, location) {
+    const validateMakeTargets = createMakeTargetValidator({ cwd });
+    return validateMakeTargets({ command, locations: [{ file: 'docs/guide.md', line: 4, ...location }] });
+  }
+
+  function validate(command, file = 'docs/guide.md') {
+    return validateAt(command, { file });
+  }
+
+  it('accepts targets from the Makefile and its includes', async () => {
+    expect(await validate('make build && make release')).toEqual([]);
+    expect(await validate('make')).toEqual([]);
+  });
+
+  it('reports unknown targets with suggestions', async () => {
+    const [issue] = await validate('make relase');
+
+    expect(issue).toEqual({
+      rule: 'missing-make-target',
+      severity: 'error',
+      message: 'Make target "relase" is not defined in Makefile.',
+      suggestion: 'Did you mean "release"?',
+      location: { file: 'docs/guide.md', line: 4 },
+    });
+  });
+
+  it('resolves make -C against its directory', async () => {
+    await fs.mkdir(path.join(cwd, 'docs'));
+    await fs.writeFile(path.join(cwd, 'docs', 'Makefile'), 'html:\n\tsphinx-build . _build\n');
+
+    expect(await validate('make -C docs html', 'README.md')).toEqual([]);
+    const [issue] = await validate('make -C docs pdf', 'README.md');
+    expect(issue.message).toBe('Make target "pdf" is not defined in docs/Makefile.');
+  });
+
+  it('resolves make in the directory the command runs in', async () => {
+    await fs.mkdir(path.join(cwd, 'packages', 'app'), { recursive: true });
+    await fs.writeFile(path.join(cwd, 'packages', 'app', 'Makefile'), 'all:\n\tcc app.c\n');
+
+    expect(await validate('cd packages/app && make all')).toEqual([]);
+    expect(await validateAt('make all', { cwd: 'packages/app' })).toEqual([]);
+    const [missing] = await validate('make all');
+    expect(missing.message).toBe('Make target "all" is not defined in Makefile.');
+  });
+
+  it('does not search parent directories for a Makefile', async () => {
+    await fs.mkdir(path.join(cwd, 'packages', 'lib'), { recursive: true });
+
+    const [issue] = await validate('cd packages/lib && make build');
+    expect(issue).toMatchObject({ severity: 'warning', message: 'No Makefile found to resolve the make command.' });
+  });
+
+  it('warns when no Makefile can be found', async () => {
+    await fs.rm(path.join(cwd, 'Makefile'));
+    const [issue] = await validate('make build');
+    expect(issue.severity).toBe('warning');
+  });
+});
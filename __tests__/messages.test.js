@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { buildValidationMessage } from '../lib/messages.js';
+import { buildValidationMessage, meetsSeverityThreshold } from '../lib/messages.js';
 
 describe('Validation messages', () => {
   it('returns info for skipped commands', () => {
@@ -298,3 +298,21 @@ describe('Validation messages', () => {
     expect(result.message).toContain('Unknown command pattern');
   });
 });
+
+describe('Severity thresholds', () => {
+  it('matches severities at or above the threshold', () => {
+    expect(meetsSeverityThreshold('error', 'error')).toBe(true);
+    expect(meetsSeverityThreshold('error', 'warning')).toBe(true);
+    expect(meetsSeverityThreshold('warning', 'info')).toBe(true);
+  });
+
+  it('ignores severities below the threshold', () => {
+    expect(meetsSeverityThreshold('warning', 'error')).toBe(false);
+    expect(meetsSeverityThreshold('info', 'warning')).toBe(false);
+  });
+
+  it('treats unknown severities and thresholds as not failing', () => {
+    expect(meetsSeverityThreshold(undefined, 'info')).toBe(false);
+    expect(meetsSeverityThreshold('error', 'fatal')).toBe(false);
+  });
+});
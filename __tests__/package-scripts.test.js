@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { parseScriptInvocation, createPackageScriptValidator } from '../lib/package-scripts.js';
+import { findClosestMatches, formatDidYouMean } from '../lib/suggestions.js';
+
+async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(value));
+}
+
+describe('parseScriptInvocation', () => {
+  it('recognises run commands and lifecycle shorthands', () => {
+    expect(parseScriptInvocation('npm run build')).toMatchObject({ manager: 'npm', script: 'build' });
+    expect(parseScriptInvocation('npm run-script lint -- --fix')).toMatchObject({ script: 'lint' });
+    expect(parseScriptInvocation('npm test')).toMatchObject({ script: 'test' });
+    expect(parseScriptInvocation('yarn dev')).toMatchObject({ manager: 'yarn', script: 'dev' });
+    expect(parseScriptInvocation('pnpm lint')).toMatchObject({ manager: 'pnpm', script: 'lint' });
+    expect(parseScriptInvocation('bun run build')).toMatchObject({ manager: 'bun', script: 'build' });
+  });
+
+  it('captures workspace selectors', () => {
+    expect(parseScriptInvocation('npm run build -w packages/app')).toMatchObject({ workspace: 'packages/app' });
+    expect(parseScriptInvocation('npm run build --workspace=@acme/ui')).toMatchObject({ workspace: '@acme/ui' });
+    expect(parseScriptInvocation('yarn workspace @acme/ui build')).toMatchObject({ workspace: '@acme/ui', script: 'build' });
+    expect(parseScriptInvocation('pnpm --filter web dev')).toMatchObject({ workspace: 'web', script: 'dev' });
+    expect(parseScriptInvocation('pnpm -w lint')).toMatchObject({ workspaceRoot: true, script: 'lint' });
+  });
+
+  it('ignores built-ins, placeholders and multi-package runs', () => {
+    expect(parseScriptInvocation('npm install')).toBeNull();
+    expect(parseScriptInvocation('yarn add lodash')).toBeNull();
+    expect(parseScriptInvocation('pnpm install')).toBeNull();
+    expect(parseScriptInvocation('bun run ./scripts/seed.ts')).toBeNull();
+    expect(parseScriptInvocation('npm run <script>')).toBeNull();
+    expect(parseScriptInvocation('npm run build --workspaces')).toBeNull();
+    expect(parseScriptInvocation('npm run lint --if-present')).toBeNull();
+    expect(parseScriptInvocation('git status')).toBeNull();
+  });
+});
+
+describe('createPackageScriptValidator', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-scripts-'));
+    await writeJson(path.join(cwd, 'package.json'), {
+      name: 'root',
+      workspaces: ['packages/*'],
+      scripts: { build: 'tsc', 'deploy:production': 'node deploy.js' },
+    });
+    await writeJson(path.join(cwd, 'packages', 'ui', 'package.json'), {
+      name: '@acme/ui',
+      scripts: { storybook: 'storybook dev' },
+    });
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  function validate(command, location = {}) {
+    const validatePackageScripts = createPackageScriptValidator({ cwd });
+    return validatePackageScripts({ command, locations: [{ file: 'README.md', line: 3, ...location }] });
+  }
+
+  it('accepts scripts defined in the package.json of the working directory', async () => {
+    expect(await validate('npm run build')).toEqual([]);
+    expect(await validate('cd packages/ui && npm run storybook')).toEqual([]);
+    expect(await validate('npm run storybook', { cwd: 'packages/ui' })).toEqual([]);
+    // npm walks up from subdirectories without a package.json
+    expect(await validate('cd packages && npm run build')).toEqual([]);
+  });
+
+  it('resolves scripts from the repository root regardless of the document location', async () => {
+    const [issue] = await validate('npm run storybook', { file: 'packages/ui/README.md' });
+    expect(issue.message).toBe('Script "storybook" is not defined in package.json.');
+  });
+
+  it('skips scripts run after a cd into an unknown directory', async () => {
+    expect(await validate('cd $APP_DIR && npm run anything')).toEqual([]);
+    expect(await validate('cd missing && npm run anything')).toEqual([]);
+  });
+
+  it('reports missing scripts with a did-you-mean suggestion', async () => {
+    const [issue] = await validate('npm run deploy:prod && npm run build');
+
+    expect(issue).toMatchObject({
+      rule: 'missing-script',
+      severity: 'error',
+      message: 'Script "deploy:prod" is not defined in package.json.',
+      location: { file: 'README.md', line: 3 },
+    });
+    expect(issue.suggestion).toContain('Did you mean "deploy:production"?');
+    expect(issue.suggestion).toContain('Available scripts: build, deploy:production.');
+  });
+
+  it('resolves workspace scripts by name or path', async () => {
+    expect(await validate('npm run storybook -w packages/ui')).toEqual([]);
+    expect(await validate('yarn workspace @acme/ui storybook')).toEqual([]);
+
+    const [missingScript] = await validate('yarn workspace @acme/ui build');
+    expect(missingScript.message).toBe('Script "build" is not defined in packages/ui/package.json.');
+
+    const [missingWorkspace] = await validate('npm run storybook --workspace=@acme/uj');
+    expect(missingWorkspace.message).toContain('Workspace "@acme/uj"');
+    expect(missingWorkspace.suggestion).toBe('Did you mean "@acme/ui"?');
+  });
+
+  it('warns when no package.json can be found', async () => {
+    await fs.rm(path.join(cwd, 'package.json'));
+    const [issue] = await validate('npm run build');
+    expect(issue.severity).toBe('warning');
+  });
+});
+
+describe('suggestions', () => {
+  it('ranks close candidates and drops unrelated ones', () => {
+    expect(findClosestMatches('biuld', ['build', 'test', 'lint'])).toEqual(['build']);
+    expect(formatDidYouMean('tset', ['test', 'start'])).toBe('Did you mean "test"?');
+    expect(formatDidYouMean('zzz', ['build'])).toBeNull();
+  });
+});
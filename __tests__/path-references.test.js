@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { findPathReferences, createPathReferenceValidator } from '../lib/path-references.js';
+
+describe('findPathReferences', () => {
+  it('finds directly invoked scripts', () => {
+    expect(findPathReferences('./scripts/setup.sh --force')).toEqual([
+      { path: './scripts/setup.sh', kind: 'file', executable: true },
+    ]);
+    expect(findPathReferences('sudo FOO=1 bin/install')).toEqual([
+      { path: 'bin/install', kind: 'file', executable: true },
+    ]);
+  });
+
+  it('finds interpreter scripts and file operands', () => {
+    expect(findPathReferences('node tools/migrate.js --dry-run')).toEqual([{ path: 'tools/migrate.js', kind: 'file' }]);
+    expect(findPathReferences('python3 -u scripts/report.py')).toEqual([{ path: 'scripts/report.py', kind: 'file' }]);
+    expect(findPathReferences('cat config/example.env')).toEqual([{ path: 'config/example.env', kind: 'file' }]);
+    expect(findPathReferences('cp .env.example .env')).toEqual([{ path: '.env.example', kind: 'file' }]);
+    expect(findPathReferences('cd docs')).toEqual([{ path: 'docs', kind: 'directory' }]);
+  });
+
+  it('ignores inline code, modules, placeholders and absolute paths', () => {
+    expect(findPathReferences('node -e "console.log(1)"')).toEqual([]);
+    expect(findPathReferences('python -m venv .venv')).toEqual([]);
+    expect(findPathReferences('node --version')).toEqual([]);
+    expect(findPathReferences('cat <file>')).toEqual([]);
+    expect(findPathReferences('cat /etc/hosts ~/.bashrc')).toEqual([]);
+    expect(findPathReferences('bun run build')).toEqual([]);
+  });
+
+  it('skips the values of options that take an argument', () => {
+    expect(findPathReferences('head -n 5 README.md')).toEqual([{ path: 'README.md', kind: 'file' }]);
+    expect(findPathReferences('tail -c 100 app.log')).toEqual([{ path: 'app.log', kind: 'file' }]);
+    expect(findPathReferences('tail --lines 20 -f app.log')).toEqual([{ path: 'app.log', kind: 'file' }]);
+    expect(findPathReferences('head -n5 README.md')).toEqual([{ path: 'README.md', kind: 'file' }]);
+  });
+});
+
+describe('createPathReferenceValidator', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-paths-'));
+    await fs.mkdir(path.join(cwd, 'scripts'));
+    await fs.mkdir(path.join(cwd, 'packages', 'api', 'scripts'), { recursive: true });
+    await fs.writeFile(path.join(cwd, 'scripts', 'setup.sh'), '#!/bin/sh\n', { mode: 0o755 });
+    await fs.writeFile(path.join(cwd, 'scripts', 'lint.sh'), '#!/bin/sh\n', { mode: 0o644 });
+    await fs.writeFile(path.join(cwd, 'packages', 'api', 'scripts', 'seed.sh'), '#!/bin/sh\n', { mode: 0o755 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  function validate(command, location = {}) {
+    const validatePathReferences = createPathReferenceValidator({ cwd });
+    return validatePathReferences({ command, locations: [{ file: 'docs/guide.md', line: 7, ...location }] });
+  }
+
+  it('accepts paths that exist', async () => {
+    expect(await validate('./scripts/setup.sh && cat scripts/lint.sh')).toEqual([]);
+  });
+
+  it('reports missing files relative to the repository root', async () => {
+    const [issue] = await validate('node scripts/migrate.js');
+
+    expect(issue).toMatchObject({
+      rule: 'missing-path',
+      severity: 'error',
+      message: 'Path "scripts/migrate.js" does not exist.',
+      location: { file: 'docs/guide.md', line: 7 },
+    });
+  });
+
+  it('downgrades paths whose directory is missing, as build output', async () => {
+    const [issue] = await validate('node dist/index.js');
+    expect(issue.severity).toBe('warning');
+  });
+
+  it('flags scripts invoked directly without the executable bit', async () => {
+    const [issue] = await validate('./scripts/lint.sh');
+
+    expect(issue).toMatchObject({ rule: 'not-executable', message: 'Script "scripts/lint.sh" is not executable.' });
+    expect(await validate('sh scripts/lint.sh')).toEqual([]);
+  });
+
+  it('resolves paths after a cd in the same command or block', async () => {
+    expect(await validate('cd packages/api && ./scripts/seed.sh')).toEqual([]);
+    expect(await validate('./scripts/seed.sh', { cwd: 'packages/api' })).toEqual([]);
+
+    const [issue] = await validate('cat README.md', { cwd: 'packages/api' });
+    expect(issue.message).toBe('Path "packages/api/README.md" does not exist.');
+  });
+
+  it('skips commands whose cd target is missing or unresolvable', async () => {
+    const [issue, ...rest] = await validate('cd packages/web && ./scripts/seed.sh');
+    expect(issue.message).toBe('Directory "packages/web" does not exist.');
+    expect(rest).toEqual([]);
+
+    expect(await validate('./missing.sh', { cwd: 'packages/web' })).toEqual([]);
+    expect(await validate('./missing.sh', { cwd: '~' })).toEqual([]);
+  });
+});
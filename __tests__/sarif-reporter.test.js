@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { buildSarifReport, formatSarifReport } from '../lib/reporters/sarif.js';
+
+function createResult(command, validation, locations) {
+  return { command, locations, validation };
+}
+
+function createVerification() {
+  return {
+    commit: 'abc123',
+    config: { treatUnknownAsWarnings: true },
+    results: [
+      createResult('npm test', {
+        category: 'safe', available: true, severity: 'info',
+      }, [{ file: 'README.md', line: 3 }]),
+      createResult('rm -rf dist', {
+        category: 'dangerous', available: true, severity: 'error',
+        suggestion: 'Add a warning to the documentation or provide a safer alternative command.',
+      }, [{ file: 'README.md', line: 10 }, { file: 'docs/clean.md', line: 4 }]),
+      createResult('cargo build', {
+        category: 'safe', available: false, severity: 'warning',
+      }, [{ file: 'docs/rust.md', line: 7 }]),
+      createResult('frobnicate --all', {
+        category: 'unknown', available: true, severity: 'warning',
+      }, [{ file: 'docs/tools.md', line: 1 }]),
+      createResult('claude --help', {
+        category: 'skip', available: true, severity: 'info',
+      }, [{ file: 'README.md', line: 20 }]),
+    ],
+  };
+}
+
+describe('SARIF reporter', () => {
+  it('produces a SARIF 2.1.0 log with category-derived rules', () => {
+    const sarif = buildSarifReport(createVerification());
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs).toHaveLength(1);
+
+    const ruleIds = sarif.runs[0].tool.driver.rules.map(rule => rule.id);
+    expect(ruleIds).toEqual(expect.arrayContaining([
+      'command-verify/dangerous',
+      'command-verify/unknown',
+      'command-verify/unavailable',
+    ]));
+  });
+
+  it('emits one result per documented location of each finding', () => {
+    const { results } = buildSarifReport(createVerification()).runs[0];
+
+    expect(results.map(result => result.ruleId)).toEqual([
+      'command-verify/dangerous',
+      'command-verify/dangerous',
+      'command-verify/unavailable',
+      'command-verify/unknown',
+    ]);
+
+    const [first, second] = results;
+    expect(first.level).toBe('error');
+    expect(first.locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'README.md', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 10 },
+    });
+    expect(second.locations[0].physicalLocation.artifactLocation.uri).toBe('docs/clean.md');
+    expect(first.partialFingerprints.commandHash).toBe(second.partialFingerprints.commandHash);
+  });
+
+  it('maps severity and carries message and suggestion without location prefixes', () => {
+    const { results, tool } = buildSarifReport(createVerification()).runs[0];
+    const unavailable = results.find(result => result.ruleId === 'command-verify/unavailable');
+
+    expect(unavailable.level).toBe('warning');
+    expect(unavailable.message.text).toMatch(/^cargo is not available on this system\./);
+    expect(unavailable.message.text).toContain('Install the required CLI');
+    expect(tool.driver.rules[unavailable.ruleIndex].id).toBe(unavailable.ruleId);
+  });
+
+  it('serialises to JSON', () => {
+    const parsed = JSON.parse(formatSarifReport(createVerification()));
+    expect(parsed.$schema).toContain('sarif');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { splitShellCommand } from '../lib/shell-parser.js';
+
+describe('splitShellCommand', () => {
+  it('returns a simple command unchanged', () => {
+    expect(splitShellCommand('npm run build')).toEqual(['npm run build']);
+  });
+
+  it('splits lists and pipelines', () => {
+    expect(splitShellCommand('npm test && rm -rf dist')).toEqual(['npm test', 'rm -rf dist']);
+    expect(splitShellCommand('make || echo failed; ls')).toEqual(['make', 'echo failed', 'ls']);
+    expect(splitShellCommand('cat file | sudo tee /etc/hosts')).toEqual(['cat file', 'sudo tee /etc/hosts']);
+    expect(splitShellCommand('npm run dev & npm run watch')).toEqual(['npm run dev', 'npm run watch']);
+  });
+
+  it('keeps quoted operators inside their command', () => {
+    expect(splitShellCommand('echo "a && b" ; ls')).toEqual(['echo "a && b"', 'ls']);
+    expect(splitShellCommand("grep 'x|y' file.txt")).toEqual(["grep 'x|y' file.txt"]);
+    expect(splitShellCommand('echo a\\;b')).toEqual(['echo a\\;b']);
+  });
+
+  it('does not split on redirections', () => {
+    expect(splitShellCommand('npm test 2>&1 | tee out.log')).toEqual(['npm test 2>&1', 'tee out.log']);
+    expect(splitShellCommand('npm run build &>/dev/null')).toEqual(['npm run build &>/dev/null']);
+  });
+
+  it('extracts subshells and drops their trailing redirections', () => {
+    expect(splitShellCommand('(cd docs && make html) > build.log; echo done'))
+      .toEqual(['cd docs', 'make html', 'echo done']);
+    expect(splitShellCommand('{ npm test; npm run lint; }')).toEqual(['npm test', 'npm run lint']);
+  });
+
+  it('lists command substitutions before the command containing them', () => {
+    expect(splitShellCommand('echo $(git rev-parse HEAD)')).toEqual(['git rev-parse HEAD', 'echo $(git rev-parse HEAD)']);
+    expect(splitShellCommand('echo "$(rm -rf /)"')).toEqual(['rm -rf /', 'echo "$(rm -rf /)"']);
+    expect(splitShellCommand('echo `date`')).toEqual(['date', 'echo `date`']);
+    expect(splitShellCommand("echo '$(not run)'")).toEqual(["echo '$(not run)'"]);
+  });
+
+  it('ignores arithmetic expansion and comments', () => {
+    expect(splitShellCommand('echo $((1 + 2))')).toEqual(['echo $((1 + 2))']);
+    expect(splitShellCommand('npm test # then && rm -rf dist')).toEqual(['npm test']);
+    expect(splitShellCommand('echo issue#42')).toEqual(['echo issue#42']);
+  });
+
+  it('tolerates unbalanced input and non-strings', () => {
+    expect(splitShellCommand('echo $(oops')).toEqual(['echo $(oops']);
+    expect(splitShellCommand('')).toEqual([]);
+    expect(splitShellCommand(null)).toEqual([]);
+  });
+});
@@ -39,6 +39,16 @@ vi.mock('fs/promises', () => {
         fileContents.set(key, content);
         return Promise.resolve();
       }),
+      appendFile: vi.fn((filePath, content) => {
+        const key = normalizePath(filePath);
+        fileContents.set(key, (fileContents.get(key) ?? '') + content);
+        return Promise.resolve();
+      }),
+      rename: vi.fn((from, to) => {
+        fileContents.set(normalizePath(to), fileContents.get(normalizePath(from)));
+        fileContents.delete(normalizePath(from));
+        return Promise.resolve();
+      }),
       mkdir: vi.fn(() => Promise.resolve()),
       readdir: vi.fn(() => Promise.resolve([])),
       rm: vi.fn(() => Promise.resolve()),
@@ -69,6 +79,10 @@ describe('Verification module', () => {
         stats: false,
         silent: false,
         json: false,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
       });
     });
 
@@ -78,6 +92,10 @@ describe('Verification module', () => {
         stats: true,
         silent: false,
         json: false,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
       });
     });
 
@@ -87,6 +105,10 @@ describe('Verification module', () => {
         stats: false,
         silent: true,
         json: false,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
       });
     });
 
@@ -96,6 +118,10 @@ describe('Verification module', () => {
         stats: false,
         silent: false,
         json: true,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
       });
     });
 
@@ -105,7 +131,47 @@ describe('Verification module', () => {
         stats: false,
         silent: true,
         json: false,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
+      });
+    });
+
+    it('parses fail-on threshold in both value forms', () => {
+      expect(parseCliArgs(['--fail-on=warning']).failOn).toBe('warning');
+      expect(parseCliArgs(['--fail-on', 'error', '--silent'])).toEqual({
+        force: false,
+        stats: false,
+        silent: true,
+        json: false,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
+        failOn: 'error',
       });
+      expect(parseCliArgs(['--fail-on', '--silent']).failOn).toBe('');
+    });
+
+    it('parses report format option', () => {
+      expect(parseCliArgs(['--format=sarif']).format).toBe('sarif');
+      expect(parseCliArgs(['--format', 'json']).format).toBe('json');
+    });
+
+    it('parses execute and doctest flags', () => {
+      expect(parseCliArgs(['--execute']).execute).toBe(true);
+      expect(parseCliArgs(['--doctest']).doctest).toBe(true);
+    });
+
+    it('parses --base and its --since alias', () => {
+      expect(parseCliArgs(['--base', 'origin/main']).base).toBe('origin/main');
+      expect(parseCliArgs(['--since=v1.2.0']).base).toBe('v1.2.0');
+    });
+
+    it('parses pre-commit scope flags', () => {
+      expect(parseCliArgs(['--staged']).staged).toBe(true);
+      expect(parseCliArgs(['--working-tree']).workingTree).toBe(true);
     });
 
     it('handles empty args', () => {
@@ -114,6 +180,10 @@ describe('Verification module', () => {
         stats: false,
         silent: false,
         json: false,
+        execute: false,
+        doctest: false,
+        staged: false,
+        workingTree: false,
       });
     });
   });
@@ -1,9 +1,10 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { execSync } from 'child_process';
-import { runVerification } from '../lib/verification.js';
+import { runVerification, ConfigurationError, EXIT_CODES } from '../lib/verification.js';
+import { runCacheCommand } from '../lib/cache-cli.js';
 
 async function createRepository() {
   const root = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-repo-'));
@@ -46,4 +47,391 @@ describe('Command verifier integration', () => {
     expect(second.summary.cache.hits).toBeGreaterThanOrEqual(1);
     expect(second.summary.cache.misses).toBe(0);
   });
+
+  it('reports a validation failure exit code when results reach --fail-on', async () => {
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nrm -rf dist\n```');
+
+    const passing = await runVerification({ cwd: repo, args: ['--silent'], env: {} });
+    expect(passing.exitCode).toBe(EXIT_CODES.success);
+
+    const failing = await runVerification({ cwd: repo, args: ['--silent', '--fail-on=error'], env: {} });
+    expect(failing.exitCode).toBe(EXIT_CODES.validationFailed);
+    expect(failing.failures.map(item => item.command)).toContain('rm -rf dist');
+  });
+
+  it('rejects unknown --fail-on values as configuration errors', async () => {
+    const logger = { info: () => {}, warn: () => {}, error: () => {} };
+    await expect(runVerification({ cwd: repo, args: ['--fail-on=fatal'], logger }))
+      .rejects.toThrow(ConfigurationError);
+  });
+
+  it('writes the selected --format report to stdout', async () => {
+    let output = '';
+    const stdout = {
+      write: chunk => {
+        output += chunk;
+      },
+    };
+
+    await runVerification({ cwd: repo, args: ['--silent', '--format=sarif'], stdout });
+    expect(JSON.parse(output).version).toBe('2.1.0');
+
+    await expect(runVerification({ cwd: repo, args: ['--silent', '--format=yaml'], stdout }))
+      .rejects.toThrow(ConfigurationError);
+  });
+
+  it('emits workflow annotations automatically inside GitHub Actions', async () => {
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nrm -rf dist\n```');
+    let output = '';
+    const stdout = {
+      write: chunk => {
+        output += chunk;
+      },
+    };
+
+    await runVerification({ cwd: repo, args: ['--silent'], env: { GITHUB_ACTIONS: 'true' }, stdout });
+    expect(output).toMatch(/^::error file=docs\/guide\.md,line=2,/);
+
+    output = '';
+    await runVerification({ cwd: repo, args: ['--silent', '--json'], env: { GITHUB_ACTIONS: 'true' }, stdout });
+    expect(JSON.parse(output).commands[0].command).toBe('rm -rf dist');
+  });
+
+  it('writes the report to --output instead of stdout', async () => {
+    const stdout = { write: vi.fn() };
+
+    await runVerification({ cwd: repo, args: ['--silent', '--format=html', '--output', 'reports/commands.html'], stdout });
+
+    const html = await fs.readFile(path.join(repo, 'reports', 'commands.html'), 'utf-8');
+    expect(html).toContain('<summary>docs/guide.md (1)</summary>');
+    expect(stdout.write).not.toHaveBeenCalled();
+  });
+
+  it('fails when a documented package script does not exist', async () => {
+    await fs.writeFile(path.join(repo, 'package.json'), JSON.stringify({ scripts: { test: 'vitest', 'deploy:stage': 'node deploy.js' } }));
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nnpm run deploy:staging\n```');
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--fail-on=error'], env: {} });
+    const deploy = result.results.find(item => item.command === 'npm run deploy:staging');
+
+    expect(deploy.validation).toMatchObject({
+      success: false,
+      severity: 'error',
+      message: 'docs/guide.md:3: Script "deploy:staging" is not defined in package.json.',
+    });
+    expect(deploy.validation.suggestion).toContain('Did you mean "deploy:stage"?');
+    expect(result.exitCode).toBe(EXIT_CODES.validationFailed);
+  });
+
+  it('re-checks make commands when the Makefile changes', async () => {
+    await fs.writeFile(path.join(repo, 'Makefile'), '.PHONY: release\nrelease:\n\t./release.sh\n');
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nmake release\n```');
+    execSync('git add . && git commit -m "docs"', { cwd: repo, stdio: 'ignore' });
+
+    const first = await runVerification({ cwd: repo, args: ['--silent'], env: {} });
+    expect(first.results.find(item => item.command === 'make release').validation.issues).toBeUndefined();
+
+    await fs.writeFile(path.join(repo, 'Makefile'), '.PHONY: publish\npublish:\n\t./release.sh\n');
+    execSync('git commit -am "rename target"', { cwd: repo, stdio: 'ignore' });
+
+    const second = await runVerification({ cwd: repo, args: ['--silent'], env: {} });
+    const release = second.results.find(item => item.command === 'make release');
+    expect(release.cached).toBe(false);
+    expect(release.validation.message).toBe('docs/guide.md:3: Make target "release" is not defined in Makefile.');
+    expect(second.results.find(item => item.command === 'npm test').cached).toBe(true);
+  });
+
+  it('re-checks only commands on changed lines of a Markdown file', async () => {
+    const guide = path.join(repo, 'docs', 'guide.md');
+    await fs.writeFile(guide, '# Guide\n\n```bash\nnpm test\n```\n\nRun `git status` first.\n\n```bash\nls\npwd\n```\n');
+    execSync('git add . && git commit -m "docs"', { cwd: repo, stdio: 'ignore' });
+    await runVerification({ cwd: repo, args: ['--silent'] });
+
+    // Shift every command down and edit the second block only
+    await fs.writeFile(guide, '# Guide\n\nIntro.\n\n```bash\nnpm test\n```\n\nRun `git status` first.\n\n```bash\nls -la\npwd\n```\n');
+    execSync('git commit -am "edit second block"', { cwd: repo, stdio: 'ignore' });
+
+    const result = await runVerification({ cwd: repo, args: ['--silent'] });
+    const cached = Object.fromEntries(result.results.map(item => [item.command, item.cached]));
+    expect(cached).toEqual({ 'npm test': true, 'git status': true, 'ls -la': false, pwd: false });
+  });
+
+  it('reports cached issues at the line a shifted command moved to', async () => {
+    const guide = path.join(repo, 'docs', 'guide.md');
+    await fs.writeFile(path.join(repo, 'package.json'), JSON.stringify({ scripts: { test: 'vitest' } }));
+    await fs.writeFile(guide, '# Guide\n\n```bash\nnpm run deploy\n```\n');
+    execSync('git add . && git commit -m "docs"', { cwd: repo, stdio: 'ignore' });
+    await runVerification({ cwd: repo, args: ['--silent'], env: {} });
+
+    await fs.writeFile(guide, '# Guide\n\nOne.\n\nTwo.\n\n```bash\nnpm run deploy\n```\n');
+    execSync('git commit -am "add intro"', { cwd: repo, stdio: 'ignore' });
+
+    const stdout = { write: vi.fn() };
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--format=github'], env: {}, stdout });
+    const deploy = result.results.find(item => item.command === 'npm run deploy');
+
+    expect(deploy.cached).toBe(true);
+    expect(deploy.validation.message).toBe('docs/guide.md:8: Script "deploy" is not defined in package.json.');
+    expect(deploy.validation.issues[0].location.line).toBe(8);
+    expect(result.report).toContain('file=docs/guide.md,line=8');
+    expect(result.report).not.toContain('line=4');
+  });
+
+  it('reports an issue at every occurrence of a command in the same file', async () => {
+    const guide = path.join(repo, 'docs', 'guide.md');
+    await fs.writeFile(path.join(repo, 'package.json'), JSON.stringify({ scripts: { test: 'vitest' } }));
+    await fs.writeFile(guide, '```bash\nnpm run build\n```\n\nLater:\n\n```bash\nnpm run build\n```\n');
+    execSync('git add . && git commit -m "docs"', { cwd: repo, stdio: 'ignore' });
+
+    const fresh = await runVerification({ cwd: repo, args: ['--silent', '--format=github'], env: {}, stdout: { write: vi.fn() } });
+    const build = fresh.results.find(item => item.command === 'npm run build');
+    expect(build.validation.issues.map(issue => issue.location.line)).toEqual([2, 8]);
+    expect(fresh.report).toContain('file=docs/guide.md,line=2');
+    expect(fresh.report).toContain('file=docs/guide.md,line=8');
+
+    await fs.writeFile(guide, `# Guide\n\n${await fs.readFile(guide, 'utf-8')}`);
+    execSync('git commit -am "add title"', { cwd: repo, stdio: 'ignore' });
+
+    const cached = await runVerification({ cwd: repo, args: ['--silent'], env: {} });
+    const shifted = cached.results.find(item => item.command === 'npm run build');
+    expect(shifted.cached).toBe(true);
+    expect(shifted.validation.issues.map(issue => issue.location.line)).toEqual([4, 10]);
+  });
+
+  it('treats cached results as stale when the executable changes', async () => {
+    const bin = path.join(repo, '.tools');
+    await fs.mkdir(bin);
+    await fs.writeFile(path.join(bin, 'doctool'), '#!/bin/sh\necho 1.0\n', { mode: 0o755 });
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\ndoctool --version\n```');
+    const env = { PATH: `${bin}${path.delimiter}${process.env.PATH}` };
+
+    const first = await runVerification({ cwd: repo, args: ['--silent'], env });
+    expect(first.results.find(item => item.command === 'doctool --version').validation.available).toBe(true);
+    await fs.rm(path.join(bin, 'doctool'));
+    const result = await runVerification({ cwd: repo, args: ['--silent'], env });
+
+    expect(result.results.find(item => item.command === 'doctool --version').cached).toBe(false);
+    expect(result.results.find(item => item.command === 'doctool --version').validation.available).toBe(false);
+    expect(result.results.find(item => item.command === 'npm test').cached).toBe(true);
+    expect(result.summary.cache.invalidated).toEqual([
+      { command: 'doctool --version', reason: '"doctool" is no longer on PATH' },
+    ]);
+  });
+
+  it('keeps cached results when unrelated PATH entries change', async () => {
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\n```');
+    await runVerification({ cwd: repo, args: ['--silent'], env: { PATH: process.env.PATH } });
+
+    const extra = path.join(repo, '.venv', 'bin');
+    await fs.mkdir(extra, { recursive: true });
+    const result = await runVerification({
+      cwd: repo,
+      args: ['--silent'],
+      env: { PATH: `${extra}${path.delimiter}${process.env.PATH}` },
+    });
+
+    expect(result.results.find(item => item.command === 'npm test').cached).toBe(true);
+    expect(result.summary.cache.invalidated).toEqual([]);
+  });
+
+  it('prunes cache entries for commands removed from the docs', async () => {
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nnpm run legacy\n```');
+    await runVerification({ cwd: repo, args: ['--silent'] });
+
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\n```');
+    const result = await runVerification({ cwd: repo, args: ['--silent'] });
+
+    expect(result.summary.cache.pruned).toEqual({ orphaned: 1, expired: 0, evicted: 0 });
+    const third = await runVerification({ cwd: repo, args: ['--silent'] });
+    expect(third.summary.cache.pruned.orphaned).toBe(0);
+
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nnpm run legacy\n```');
+    const restored = await runVerification({ cwd: repo, args: ['--silent'] });
+    expect(restored.results.find(item => item.command === 'npm run legacy').cached).toBe(false);
+  });
+
+  it('prunes the cache on demand with "cache prune"', async () => {
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nnpm run legacy\n```');
+    await runVerification({ cwd: repo, args: ['--silent'] });
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\n```');
+
+    const dryRun = await runCacheCommand({ cwd: repo, args: ['prune', '--dry-run', '--silent'] });
+    expect(dryRun.pruned.orphaned).toEqual(['npm run legacy']);
+
+    const result = await runCacheCommand({ cwd: repo, args: ['prune', '--max-entries=1', '--silent'] });
+    expect(result.exitCode).toBe(EXIT_CODES.success);
+    expect(result.pruned).toMatchObject({ orphaned: ['npm run legacy'], evicted: [], remaining: 1 });
+
+    await expect(runCacheCommand({ cwd: repo, args: ['compact'], silent: true }))
+      .rejects.toBeInstanceOf(ConfigurationError);
+    await expect(runCacheCommand({ cwd: repo, args: ['prune', '--ttl-days=0'], silent: true }))
+      .rejects.toBeInstanceOf(ConfigurationError);
+  });
+
+  it('seeds a fresh clone from an exported cache archive', async () => {
+    const archive = path.join(repo, 'command-cache.json.gz');
+    await runVerification({ cwd: repo, args: ['--silent'] });
+    const exported = await runCacheCommand({ cwd: repo, args: ['export', archive, '--silent'] });
+    expect(exported.exported.entries).toBe(1);
+
+    const clone = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-clone-'));
+    try {
+      execSync(`git clone --quiet "${repo}" "${clone}"`, { stdio: 'ignore' });
+      const imported = await runCacheCommand({ cwd: clone, args: ['import', archive, '--silent'] });
+      expect(imported.imported).toMatchObject({ imported: 1, skipped: [], commit: exported.exported.commit });
+
+      const result = await runVerification({ cwd: clone, args: ['--silent'] });
+      expect(result.summary.cache.hits).toBe(1);
+      expect(result.summary.cache.misses).toBe(0);
+    } finally {
+      await fs.rm(clone, { recursive: true, force: true });
+    }
+
+    await expect(runCacheCommand({ cwd: repo, args: ['import'], silent: true }))
+      .rejects.toThrow(/requires an archive path/);
+  });
+
+  it('discovers commands in MDX files by default', async () => {
+    await fs.writeFile(
+      path.join(repo, 'docs', 'intro.mdx'),
+      "---\ntitle: Intro\n---\nimport { CodeBlock } from '@site/ui';\n\n<CodeBlock language=\"bash\">\n  git status\n</CodeBlock>\n",
+    );
+
+    const result = await runVerification({ cwd: repo, args: ['--silent'] });
+
+    expect(result.markdownFiles.map(file => file.split(path.sep).join('/')).sort()).toEqual(['docs/guide.md', 'docs/intro.mdx']);
+    expect(result.results.find(item => item.command === 'git status').locations).toEqual([
+      expect.objectContaining({ file: 'docs/intro.mdx', line: 7 }),
+    ]);
+  });
+
+  it('executes safe commands with --execute and records the results', async () => {
+    await fs.writeFile(path.join(repo, 'notes.txt'), 'hello\n');
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\ncat notes.txt\nls missing-dir\nrm -rf dist\n```');
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--execute'], env: { PATH: process.env.PATH } });
+    const byCommand = Object.fromEntries(result.results.map(item => [item.command, item]));
+
+    expect(result.summary.execution).toEqual({ executed: 2, failed: 1, skipped: 1 });
+    expect(byCommand['cat notes.txt'].execution).toMatchObject({ exitCode: 0, stdout: 'hello\n', success: true });
+    expect(byCommand['rm -rf dist'].execution).toBeUndefined();
+    expect(byCommand['ls missing-dir'].validation).toMatchObject({
+      success: false,
+      severity: 'error',
+      message: 'docs/guide.md:3: Command exited with code 2.',
+    });
+
+    const records = await fs.readdir(path.join(repo, '.cache', 'executions'));
+    expect(records).toHaveLength(2);
+    const record = JSON.parse(await fs.readFile(path.join(repo, '.cache', 'executions', records[0]), 'utf-8'));
+    expect(Object.keys(record)).toEqual(['command', 'executedAt', 'duration', 'exitCode', 'stdout', 'stderr', 'success', 'commit']);
+  });
+
+  it('checks documented console output with --doctest', async () => {
+    await fs.writeFile(
+      path.join(repo, 'docs', 'guide.md'),
+      '```console\n$ echo hello\nhello\n```\n\n```console\n$ echo goodbye\nhello\n```\n',
+    );
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--doctest'], env: { PATH: process.env.PATH } });
+    const goodbye = result.results.find(item => item.command === 'echo goodbye');
+
+    expect(result.summary.doctest).toEqual({ checked: 2, failed: 1, skipped: 0 });
+    expect(goodbye.validation).toMatchObject({
+      severity: 'error',
+      message: 'docs/guide.md:7: Output does not match the documented output.',
+    });
+    expect(goodbye.validation.suggestion).toBe([
+      '--- docs/guide.md:7 (documented)',
+      '+++ actual',
+      '@@ -1 +1 @@',
+      '-hello',
+      '+goodbye',
+    ].join('\n'));
+  });
+
+  it('runs each command once when --doctest and --execute are combined', async () => {
+    await fs.writeFile(path.join(repo, 'notes.txt'), 'hello\n');
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```console\n$ cat notes.txt\nhello\n```\n');
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--execute', '--doctest'], env: { PATH: process.env.PATH } });
+    const cat = result.results.find(item => item.command === 'cat notes.txt');
+
+    // The doctest compares against the execution in the copied working tree
+    expect(result.summary.doctest).toEqual({ checked: 1, failed: 0, skipped: 0 });
+    const records = await fs.readdir(path.join(repo, '.cache', 'executions'));
+    expect(records).toHaveLength(1);
+    const record = JSON.parse(await fs.readFile(path.join(repo, '.cache', 'executions', records[0]), 'utf-8'));
+    expect(record.executedAt).toBe(cat.execution.executedAt);
+  });
+
+  it('validates only commands on staged or uncommitted lines', async () => {
+    const guide = path.join(repo, 'docs', 'guide.md');
+    await fs.writeFile(guide, '```bash\nnpm test\nls\n```');
+    execSync('git add docs/guide.md', { cwd: repo });
+    await fs.writeFile(guide, '```bash\nnpm test\nls\npwd\n```');
+    await fs.writeFile(path.join(repo, 'docs', 'new.md'), '`git status`');
+    const lastCommitFile = path.join(repo, '.cache', 'last-validation-commit.txt');
+
+    const staged = await runVerification({ cwd: repo, args: ['--silent', '--staged'] });
+    expect(staged.results.map(item => item.command)).toEqual(['ls']);
+    expect(staged.markdownFiles).toEqual(['docs/guide.md']);
+
+    const workingTree = await runVerification({ cwd: repo, args: ['--silent', '--working-tree'] });
+    expect(workingTree.results.map(item => item.command).sort()).toEqual(['git status', 'ls', 'pwd']);
+    await expect(fs.access(lastCommitFile)).rejects.toThrow();
+
+    await expect(runVerification({ cwd: repo, args: ['--silent', '--staged', '--working-tree'] }))
+      .rejects.toThrow(ConfigurationError);
+  });
+
+  it('limits the report to commands touched since the --base merge-base', async () => {
+    await fs.writeFile(path.join(repo, 'docs', 'other.md'), '```bash\ngit status\n```');
+    execSync('git add . && git commit -m "other docs" && git tag base', { cwd: repo, stdio: 'ignore' });
+    execSync('git checkout -b feature', { cwd: repo, stdio: 'ignore' });
+    await fs.writeFile(path.join(repo, 'docs', 'guide.md'), '```bash\nnpm test\nls\n```');
+    execSync('git commit -am "document ls"', { cwd: repo, stdio: 'ignore' });
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--base', 'base'] });
+    expect(result.results.map(item => item.command).sort()).toEqual(['ls', 'npm test']);
+    expect(result.summary.total).toBe(2);
+
+    const since = await runVerification({ cwd: repo, args: ['--silent', '--since=base'] });
+    expect(since.results).toHaveLength(2);
+
+    await expect(runVerification({ cwd: repo, args: ['--silent', '--base', 'no-such-ref'] }))
+      .rejects.toThrow(ConfigurationError);
+  });
+
+  it('does not report documented commands when a pull request only changes code', async () => {
+    execSync('git tag base', { cwd: repo, stdio: 'ignore' });
+    execSync('git checkout -b feature', { cwd: repo, stdio: 'ignore' });
+    await fs.mkdir(path.join(repo, 'src'), { recursive: true });
+    await fs.writeFile(path.join(repo, 'src', 'index.js'), 'export const value = 1;\n');
+    execSync('git add . && git commit -m "change code"', { cwd: repo, stdio: 'ignore' });
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--base', 'base'] });
+
+    expect(result.results).toEqual([]);
+  });
+
+  it('writes a JSON report to stdout when --json is passed', async () => {
+    let output = '';
+    const stdout = {
+      write: chunk => {
+        output += chunk;
+      },
+    };
+
+    const result = await runVerification({ cwd: repo, args: ['--silent', '--json'], stdout });
+    const report = JSON.parse(output);
+
+    expect(report.version).toBe(1);
+    expect(report.commit).toBe(result.commit);
+    expect(report.summary.total).toBe(1);
+    expect(report.commands[0]).toMatchObject({
+      command: 'npm test',
+      locations: [{ file: 'docs/guide.md', line: 2 }],
+    });
+  });
 });
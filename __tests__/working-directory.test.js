@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createWorkingDirectoryResolver, isCheckablePath } from '../lib/working-directory.js';
+
+describe('createWorkingDirectoryResolver', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'cmd-verify-cwd-'));
+    await fs.mkdir(path.join(root, 'packages', 'app'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  async function resolve(command, location) {
+    const segments = await createWorkingDirectoryResolver(root)(command, location);
+    return segments.map(({ segment, cwd }) => [segment, cwd && (path.relative(root, cwd) || '.')]);
+  }
+
+  it('starts at the repository root and follows cd segments', async () => {
+    expect(await resolve('cd packages/app && make all')).toEqual([
+      ['cd packages/app', '.'],
+      ['make all', path.join('packages', 'app')],
+    ]);
+  });
+
+  it('starts in the directory recorded on the location', async () => {
+    expect(await resolve('cd .. && npm run dev', { cwd: 'packages/app' })).toEqual([
+      ['cd ..', path.join('packages', 'app')],
+      ['npm run dev', 'packages'],
+    ]);
+  });
+
+  it('loses the directory after cd into a missing, variable or outside path', async () => {
+    expect((await resolve('cd missing && ls'))[1][1]).toBeNull();
+    expect((await resolve('cd $DIR && ls'))[1][1]).toBeNull();
+    expect((await resolve('cd ../.. && ls', { cwd: 'packages' }))[1][1]).toBeNull();
+    expect((await resolve('ls', { cwd: '~/app' }))[0][1]).toBeNull();
+  });
+
+  it('only treats literal repository paths as checkable', () => {
+    expect(isCheckablePath('docs/guide.md')).toBe(true);
+    expect(isCheckablePath('/etc/hosts')).toBe(false);
+    expect(isCheckablePath('$HOME/x')).toBe(false);
+    expect(isCheckablePath('https://example.com')).toBe(false);
+  });
+});
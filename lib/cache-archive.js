@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+import { ConfigurationError } from './config.js';
+import { readLastValidatedCommit, validateEntry, writeLastValidatedCommit } from './cache-manager.js';
+import { writeFileAtomic } from './cache-lock.js';
+import { createCacheStore } from './cache-store.js';
+import { createFingerprinter, describePortableFingerprintChange } from './environment-fingerprint.js';
+import { findCommonAncestor } from './git-diff.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+export const ARCHIVE_FORMAT = 'command-verify-cache';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Bundle every cache entry and the last validated commit into a gzipped,
+ * versioned JSON archive
+ */
+export async function exportCacheArchive(config, file) {
+  const entries = await createCacheStore(config).list();
+  const archive = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    lastValidatedCommit: await readLastValidatedCommit(config),
+    entries,
+  };
+
+  await writeFileAtomic(file, await gzip(JSON.stringify(archive)));
+  return { entries: entries.length, commit: archive.lastValidatedCommit };
+}
+
+async function readArchive(file) {
+  let archive;
+  try {
+    archive = JSON.parse((await gunzip(await fs.readFile(file))).toString('utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new ConfigurationError(`Cache archive not found at ${file}`, [
+        'Create one with: command-verify cache export <file>',
+      ]);
+    }
+    throw new ConfigurationError(`${file} is not a readable cache archive (${error.message})`, [
+      'Archives are written by: command-verify cache export <file>',
+    ]);
+  }
+
+  if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.entries)) {
+    throw new ConfigurationError(`${file} is not a command-verify cache archive`, [
+      'Archives are written by: command-verify cache export <file>',
+    ]);
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new ConfigurationError(`Unsupported cache archive version ${archive.version} (expected ${ARCHIVE_VERSION})`, [
+      'Export the archive again with the same command-verify version that imports it',
+    ]);
+  }
+  return archive;
+}
+
+function resolveBaseline(archive, localCommit, config) {
+  if (!archive.lastValidatedCommit) return localCommit;
+
+  // Entries are only as fresh as the older of the two baselines
+  const commit = findCommonAncestor(archive.lastValidatedCommit, localCommit ?? archive.lastValidatedCommit, config.cwd);
+  if (!commit) {
+    throw new ConfigurationError(`Commit ${archive.lastValidatedCommit} from the cache archive is not in this repository`, [
+      'Fetch more history (for example git fetch --unshallow) and import again',
+    ]);
+  }
+  return commit;
+}
+
+/**
+ * Seed the cache from an archive. The schema version is checked first;
+ * entries validated on another platform or with a different executable
+ * availability, or older than the local entry for the same command, are
+ * skipped. The last validated commit moves back to
+ * the newest commit shared with the archive, so changes since either baseline
+ * are revalidated on the next run.
+ */
+export async function importCacheArchive(config, file, { env = process.env } = {}) {
+  const archive = await readArchive(file);
+  const commit = resolveBaseline(archive, await readLastValidatedCommit(config), config);
+  const store = createCacheStore(config);
+  const fingerprint = createFingerprinter({ env, envVars: config.cacheEnvVars });
+  const skipped = [];
+  let imported = 0;
+  let kept = 0;
+
+  for (const entry of archive.entries) {
+    const command = entry?.command;
+    const validation = validateEntry(command, entry);
+    if (!validation.valid) {
+      skipped.push({ command: command ?? null, reason: validation.reason });
+      continue;
+    }
+
+    const environment = await fingerprint(command);
+    const reason = describePortableFingerprintChange(entry.environment, environment);
+    if (reason) {
+      skipped.push({ command, reason });
+      continue;
+    }
+
+    const { entry: local } = await store.get(command);
+    if (local && Date.parse(local.validatedAt) >= Date.parse(entry.validatedAt)) {
+      kept += 1;
+      continue;
+    }
+
+    // Stamp the local fingerprint so later runs check against this machine
+    await store.set(command, { ...entry, environment });
+    imported += 1;
+  }
+  await store.flush();
+
+  if (imported > 0) {
+    await writeLastValidatedCommit(config, commit);
+  }
+
+  return { imported, kept, skipped, commit: imported > 0 ? commit : null };
+}
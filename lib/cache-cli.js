@@ -0,0 +1,91 @@
+import path from 'path';
+
+import { loadConfiguration, ensureConfigReady, validatePositiveInteger, ConfigurationError } from './config.js';
+import { ensureCacheStructure } from './cache-manager.js';
+import { createCacheStore, pruneCache } from './cache-store.js';
+import { exportCacheArchive, importCacheArchive } from './cache-archive.js';
+import { EXIT_CODES, createLogger, discoverCommands, logPruneCounts, readOptionValue } from './verification.js';
+
+function readLimit(argv, name) {
+  const value = readOptionValue(argv, name);
+  return value === undefined ? undefined : validatePositiveInteger(Number(value), name);
+}
+
+async function pruneCommand(args, { config, logger }) {
+  const dryRun = args.includes('--dry-run');
+  const ttlDays = readLimit(args, '--ttl-days') ?? config.cacheTtlDays;
+  const maxEntries = readLimit(args, '--max-entries') ?? config.cacheMaxEntries;
+
+  const { commands } = await discoverCommands(config, logger);
+  const pruned = await pruneCache(createCacheStore(config), config, {
+    keep: new Set(commands.map(command => command.command)),
+    ttlDays,
+    maxEntries,
+    dryRun,
+  });
+
+  logPruneCounts(pruned, logger, { dryRun });
+  return { exitCode: EXIT_CODES.success, pruned };
+}
+
+function readArchivePath(args, subcommand, cwd) {
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    throw new ConfigurationError(`cache ${subcommand} requires an archive path`, [
+      `Example: command-verify cache ${subcommand} command-cache.json.gz`,
+    ]);
+  }
+  return path.resolve(cwd, file);
+}
+
+async function exportCommand(args, { config, logger }) {
+  const file = readArchivePath(args, 'export', config.cwd);
+  const exported = await exportCacheArchive(config, file);
+  logger.info(`📦 Exported ${exported.entries} cache entries to ${path.relative(config.cwd, file)}`);
+  if (exported.commit) {
+    logger.info(`ℹ️  Last validated commit: ${exported.commit}`);
+  } else {
+    logger.warn('⚠️  No validated commit recorded yet. Importers will revalidate every command once.');
+  }
+  return { exitCode: EXIT_CODES.success, exported };
+}
+
+async function importCommand(args, { config, logger, env }) {
+  const file = readArchivePath(args, 'import', config.cwd);
+  const imported = await importCacheArchive(config, file, { env });
+  logger.info(`📥 Imported ${imported.imported} cache entries from ${path.relative(config.cwd, file)}`);
+  if (imported.kept > 0) {
+    logger.info(`   Kept ${imported.kept} newer local entries`);
+  }
+  if (imported.skipped.length > 0) {
+    logger.info(`   Skipped ${imported.skipped.length} entries:`);
+    for (const { command, reason } of imported.skipped) {
+      logger.info(`      ${command}: ${reason}`);
+    }
+  }
+  if (imported.commit) {
+    logger.info(`ℹ️  Last validated commit: ${imported.commit}`);
+  }
+  return { exitCode: EXIT_CODES.success, imported };
+}
+
+const HANDLERS = { prune: pruneCommand, export: exportCommand, import: importCommand };
+
+/**
+ * Run a `command-verify cache <subcommand>` maintenance command
+ */
+export async function runCacheCommand(options = {}) {
+  const [subcommand, ...args] = options.args ?? process.argv.slice(3);
+  const logger = createLogger(options.logger ?? console, { silent: options.silent || args.includes('--silent') });
+
+  if (!Object.hasOwn(HANDLERS, subcommand ?? '')) {
+    throw new ConfigurationError(`Unknown cache command "${subcommand ?? ''}"`, [
+      `Use one of: ${Object.keys(HANDLERS).join(', ')}`,
+    ]);
+  }
+
+  const config = await ensureConfigReady(await loadConfiguration(options.cwd ?? process.cwd()));
+  await ensureCacheStructure(config);
+
+  return HANDLERS[subcommand](args, { config, logger, env: options.env ?? process.env });
+}
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { setInterval, clearInterval } from 'timers';
+import { setTimeout as delay } from 'timers/promises';
+
+const LOCK_FILE_NAME = '.lock';
+const DEFAULT_STALE_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const RETRY_DELAY_MS = 50;
+
+/**
+ * Write a file through a temporary sibling and rename it into place, so
+ * readers see either the old or the new content and never a partial write
+ */
+export async function writeFileAtomic(file, data, options) {
+  const suffix = `${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${suffix}.tmp`);
+  try {
+    await fs.writeFile(tempFile, data, options);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+async function readLockOwner(lockFile) {
+  try {
+    const raw = await fs.readFile(lockFile, 'utf-8');
+    const { mtimeMs } = await fs.stat(lockFile);
+    let owner = null;
+    try {
+      owner = JSON.parse(raw);
+    } catch {
+      // The holder may not have written its details yet
+    }
+    return { raw, owner, mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * A lock held on this host is stale only once its process is gone, however
+ * long it has been held. Locks from other hosts cannot be checked that way
+ * and are stale when their holder stopped refreshing the mtime for `staleMs`.
+ */
+export function isLockStale({ owner, mtimeMs }, { staleMs = DEFAULT_STALE_MS, now = Date.now() } = {}) {
+  if (Number.isInteger(owner?.pid) && owner.hostname === os.hostname()) {
+    return !isProcessAlive(owner.pid);
+  }
+  return now - mtimeMs > staleMs;
+}
+
+// Touch the lock file while it is held so other hosts see a live holder
+function startHeartbeat(lockFile, content, intervalMs) {
+  const timer = setInterval(async() => {
+    try {
+      if ((await readLockOwner(lockFile))?.raw === content) {
+        const now = new Date();
+        await fs.utimes(lockFile, now, now);
+      }
+    } catch {
+      // A missed beat only matters after several in a row
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Take the advisory lock on a cache directory. The lock file is created
+ * exclusively and records the holder's pid, host and start time, and its
+ * mtime is refreshed while held; locks left behind by crashed processes are
+ * broken. Resolves to a release function.
+ */
+export async function acquireCacheLock(directory, {
+  staleMs = DEFAULT_STALE_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  logger,
+} = {}) {
+  const lockFile = path.join(directory, LOCK_FILE_NAME);
+  const content = JSON.stringify({ pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() });
+  const deadline = Date.now() + timeoutMs;
+  await fs.mkdir(directory, { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockFile, content, { flag: 'wx' });
+      const heartbeat = startHeartbeat(lockFile, content, Math.max(1, Math.floor(staleMs / 3)));
+      return async() => {
+        clearInterval(heartbeat);
+        // Never remove a lock another process took over after ours went stale
+        const current = await readLockOwner(lockFile);
+        if (current?.raw === content) {
+          await fs.rm(lockFile, { force: true });
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = await readLockOwner(lockFile);
+    if (holder && isLockStale(holder, { staleMs })) {
+      // Re-check so a lock replaced in the meantime is left alone
+      if ((await readLockOwner(lockFile))?.raw === holder.raw) {
+        logger?.warn?.(`⚠️  Removing stale cache lock held by pid ${holder.owner?.pid ?? 'unknown'}`);
+        await fs.rm(lockFile, { force: true });
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for the cache lock held by pid ${holder?.owner?.pid ?? 'unknown'} (${lockFile})`);
+    }
+    await delay(RETRY_DELAY_MS);
+  }
+}
+
+/**
+ * Run `task` while holding the lock on `config.cacheDir`
+ */
+export async function withCacheLock(config, task, options) {
+  const release = await acquireCacheLock(config.cacheDir, options);
+  try {
+    return await task();
+  } finally {
+    await release();
+  }
+}
@@ -2,6 +2,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 
+import { withCacheLock, writeFileAtomic } from './cache-lock.js';
+
 const REQUIRED_FIELDS = ['command', 'category', 'confidence', 'validated', 'available', 'success', 'validatedAt'];
 
 function checksum(command) {
@@ -12,7 +14,7 @@ function isIsoDate(value) {
   return typeof value === 'string' && !Number.isNaN(Date.parse(value));
 }
 
-function validateEntry(command, entry) {
+export function validateEntry(command, entry) {
   if (!entry || typeof entry !== 'object') {
     return { valid: false, reason: 'Entry is not an object' };
   }
@@ -62,9 +64,9 @@ function validateEntry(command, entry) {
   return { valid: true };
 }
 
-function getCacheFilePath(command, config) {
+function getCacheFilePath(command, config, directory = config.commandsCacheDir) {
   const hash = crypto.createHash('md5').update(command).digest('hex');
-  return path.join(config.commandsCacheDir, `${hash}.json`);
+  return path.join(directory, `${hash}.json`);
 }
 
 async function discardCorruptedCache(cacheFile, logger, reason, stats) {
@@ -108,22 +110,84 @@ export async function loadCacheEntry(command, config, logger, stats) {
   }
 }
 
-export async function saveCacheEntry(command, data, config) {
-  const cacheFile = getCacheFilePath(command, config);
-  const normalised = {
+export function normaliseEntry(command, data) {
+  return {
     ...data,
     command,
     checksum: checksum(command),
     schemaVersion: 1,
   };
+}
+
+export async function saveCacheEntry(command, data, config) {
+  const cacheFile = getCacheFilePath(command, config);
+  const normalised = normaliseEntry(command, data);
 
   await fs.mkdir(config.commandsCacheDir, { recursive: true });
-  await fs.writeFile(cacheFile, JSON.stringify(normalised, null, 2));
+  await writeFileAtomic(cacheFile, JSON.stringify(normalised, null, 2));
   return normalised;
 }
 
+export async function deleteCacheEntry(command, config) {
+  await fs.rm(getCacheFilePath(command, config), { force: true });
+}
+
+/**
+ * Read every valid per-file cache entry along with the file it came from
+ */
+export async function listCacheEntries(config) {
+  let names;
+  try {
+    names = await fs.readdir(config.commandsCacheDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const name of names.filter(item => item.endsWith('.json'))) {
+    const file = path.join(config.commandsCacheDir, name);
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf-8'));
+      // The file name must be the hash of the command it stores
+      if (validateEntry(entry?.command, entry).valid && getCacheFilePath(entry.command, config) === file) {
+        entries.push({ entry, file });
+      }
+    } catch {
+      // Unreadable entries are rebuilt on the next miss
+    }
+  }
+  return entries;
+}
+
+export async function saveExecutionRecord(command, record, config) {
+  const recordFile = getCacheFilePath(command, config, config.executionsCacheDir);
+  await fs.mkdir(config.executionsCacheDir, { recursive: true });
+  await writeFileAtomic(recordFile, JSON.stringify(record, null, 2));
+  return recordFile;
+}
+
+export async function deleteExecutionRecord(command, config) {
+  await fs.rm(getCacheFilePath(command, config, config.executionsCacheDir), { force: true });
+}
+
+export async function readLastValidatedCommit(config) {
+  try {
+    const raw = await fs.readFile(config.lastCommitFile, 'utf-8');
+    return raw.trim();
+  } catch {
+    return null;
+  }
+}
+
+export async function writeLastValidatedCommit(config, commit) {
+  if (!commit) return;
+  await withCacheLock(config, () => writeFileAtomic(config.lastCommitFile, commit, 'utf-8'));
+}
+
 export async function clearCache(config) {
-  await fs.rm(config.cacheDir, { recursive: true, force: true });
+  // Removing the directory also removes the lock file, which releases it
+  await withCacheLock(config, () => fs.rm(config.cacheDir, { recursive: true, force: true }));
 }
 
 export async function ensureCacheStructure(config) {
@@ -0,0 +1,279 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { ConfigurationError } from './config.js';
+import { withCacheLock, writeFileAtomic } from './cache-lock.js';
+import {
+  deleteCacheEntry,
+  deleteExecutionRecord,
+  listCacheEntries,
+  loadCacheEntry,
+  normaliseEntry,
+  saveCacheEntry,
+  validateEntry,
+} from './cache-manager.js';
+
+// The log is rewritten once superseded lines outnumber live entries
+const COMPACTION_MIN_LINES = 100;
+const COMPACTION_RATIO = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache backends share one interface:
+ *   get(command, logger, stats) -> { entry, repaired }
+ *   set(command, data)          -> stored entry
+ *   delete(command)
+ *   list()                      -> stored entries
+ *   flush(logger)               -> persist buffered writes
+ */
+const backends = new Map();
+
+export function registerCacheBackend(name, factory) {
+  backends.set(name, factory);
+}
+
+/**
+ * The original layout: one pretty-printed JSON file per command
+ */
+export function createFileCacheStore(config) {
+  return {
+    name: 'files',
+    get: (command, logger, stats) => loadCacheEntry(command, config, logger, stats),
+    set: (command, data) => saveCacheEntry(command, data, config),
+    delete: command => deleteCacheEntry(command, config),
+    list: async() => (await listCacheEntries(config)).map(({ entry }) => entry),
+    flush: async() => {},
+  };
+}
+
+function applyRecord(entries, record) {
+  if (record.deleted) {
+    entries.delete(record.command);
+  } else {
+    entries.set(record.command, record);
+  }
+}
+
+/**
+ * Replay JSONL cache lines into `entries`; the last line for a command wins
+ */
+function replayLog(raw, entries) {
+  let lines = 0;
+  let corrupted = 0;
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    lines += 1;
+    try {
+      const record = JSON.parse(line);
+      if (typeof record?.command === 'string') {
+        applyRecord(entries, record);
+      } else {
+        corrupted += 1;
+      }
+    } catch {
+      // A torn final line from an interrupted write
+      corrupted += 1;
+    }
+  }
+  return { lines, corrupted };
+}
+
+/**
+ * Append-only JSONL store: every write appends the entry (or a deletion
+ * marker) and the last line for a command wins. The log is read once into an
+ * in-memory index on first use and compacted when it grows stale. Entries in
+ * the per-file layout are migrated into it transparently. Writes to the log
+ * happen under the cache directory lock and rewrites are atomic.
+ */
+export function createJsonlCacheStore(config) {
+  const file = config.cacheStoreFile;
+  let index = null;
+  let lineCount = 0;
+  let pending = [];
+  let needsCompaction = false;
+
+  async function migrateLegacyEntries(logger) {
+    const legacy = await listCacheEntries(config);
+    if (legacy.length === 0) return;
+
+    for (const { entry } of legacy) {
+      index.set(entry.command, entry);
+      append(entry);
+    }
+    needsCompaction = true;
+    await flush(logger);
+    await Promise.all(legacy.map(({ file: legacyFile }) => fs.rm(legacyFile, { force: true })));
+    logger?.info?.(`📦 Migrated ${legacy.length} cache entries to ${path.basename(file)}`);
+  }
+
+  async function readLog() {
+    try {
+      return await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function load(logger, stats) {
+    if (index) return index;
+    index = new Map();
+
+    const raw = await readLog();
+    if (raw === null) {
+      await migrateLegacyEntries(logger);
+      return index;
+    }
+
+    const { lines, corrupted } = replayLog(raw, index);
+    lineCount = lines;
+    if (corrupted > 0) {
+      logger?.warn?.(`⚠️  Cache corruption detected (${corrupted} unreadable lines in ${path.basename(file)}). Compacting...`);
+      if (stats) {
+        stats.corrupted += corrupted;
+      }
+      needsCompaction = true;
+    }
+    return index;
+  }
+
+  function append(record) {
+    pending.push(record);
+  }
+
+  async function compact() {
+    // Other processes may have appended since the log was loaded, so their
+    // lines are replayed before ours and kept in the rewritten file
+    const merged = new Map();
+    replayLog(await readLog() ?? '', merged);
+    for (const record of pending) {
+      applyRecord(merged, record);
+    }
+
+    const lines = [...merged.values()].map(entry => JSON.stringify(entry));
+    await writeFileAtomic(file, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    index = merged;
+    return lines.length;
+  }
+
+  async function flush(logger) {
+    if (!index) return;
+    const written = lineCount + pending.length;
+    const stale = written > COMPACTION_MIN_LINES && written > index.size * COMPACTION_RATIO;
+    if (!needsCompaction && !stale && pending.length === 0) return;
+
+    await withCacheLock(config, async() => {
+      if (needsCompaction || stale) {
+        lineCount = await compact();
+        if (stale) {
+          logger?.info?.(`🗜️  Compacted ${path.basename(file)} (${written} → ${lineCount} lines)`);
+        }
+        needsCompaction = false;
+      } else {
+        await fs.appendFile(file, `${pending.map(record => JSON.stringify(record)).join('\n')}\n`);
+        lineCount += pending.length;
+      }
+    }, { logger });
+    pending = [];
+  }
+
+  return {
+    name: 'jsonl',
+
+    async get(command, logger, stats) {
+      const entries = await load(logger, stats);
+      const entry = entries.get(command);
+      if (!entry) return { entry: null, repaired: false };
+
+      const validation = validateEntry(command, entry);
+      if (!validation.valid) {
+        logger?.warn?.(`⚠️  Cache corruption detected (${validation.reason}). Repairing entry for "${command}"...`);
+        entries.delete(command);
+        append({ command, deleted: true });
+        if (stats) {
+          stats.corrupted += 1;
+        }
+        return { entry: null, repaired: true };
+      }
+      return { entry, repaired: false };
+    },
+
+    async set(command, data) {
+      const entries = await load();
+      const normalised = normaliseEntry(command, data);
+      entries.set(command, normalised);
+      append(normalised);
+      return normalised;
+    },
+
+    async delete(command) {
+      const entries = await load();
+      if (entries.delete(command)) {
+        append({ command, deleted: true });
+      }
+    },
+
+    async list() {
+      return [...(await load()).values()];
+    },
+
+    flush,
+  };
+}
+
+registerCacheBackend('files', createFileCacheStore);
+registerCacheBackend('jsonl', createJsonlCacheStore);
+
+/**
+ * Create the cache backend selected by `config.cacheBackend`
+ */
+export function createCacheStore(config) {
+  const factory = backends.get(config.cacheBackend);
+  if (!factory) {
+    throw new ConfigurationError(`Unknown cache backend "${config.cacheBackend}"`, [
+      `Use one of: ${[...backends.keys()].join(', ')}`,
+    ]);
+  }
+  return factory(config);
+}
+
+/**
+ * Remove cache entries for commands that are no longer documented (when
+ * `keep` is given), entries older than `ttlDays`, and the oldest entries
+ * beyond `maxEntries`. Execution records of removed commands go with them.
+ */
+export async function pruneCache(store, config, {
+  keep = null,
+  ttlDays = config.cacheTtlDays,
+  maxEntries = config.cacheMaxEntries,
+  dryRun = false,
+  now = Date.now(),
+} = {}) {
+  const pruned = { orphaned: [], expired: [], evicted: [] };
+  const live = [];
+
+  for (const entry of await store.list()) {
+    if (keep && !keep.has(entry.command)) {
+      pruned.orphaned.push(entry.command);
+    } else if (ttlDays && now - Date.parse(entry.validatedAt) > ttlDays * DAY_MS) {
+      pruned.expired.push(entry.command);
+    } else {
+      live.push(entry);
+    }
+  }
+
+  if (maxEntries && live.length > maxEntries) {
+    live.sort((a, b) => Date.parse(b.validatedAt) - Date.parse(a.validatedAt));
+    pruned.evicted = live.splice(maxEntries).map(entry => entry.command);
+  }
+
+  if (!dryRun) {
+    for (const command of [...pruned.orphaned, ...pruned.expired, ...pruned.evicted]) {
+      await store.delete(command);
+      await deleteExecutionRecord(command, config);
+    }
+    await store.flush();
+  }
+
+  return { ...pruned, remaining: live.length };
+}
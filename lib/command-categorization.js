@@ -1,4 +1,18 @@
 import { shouldSkipCommand, checkKnowledgeBase } from './knowledge-base.js';
+import { splitShellCommand } from './shell-parser.js';
+
+// Most dangerous first: a compound command is as risky as its worst segment
+const CATEGORY_SEVERITY = ['dangerous', 'conditional', 'unknown', 'safe', 'skip'];
+
+function pickMostDangerous(breakdown) {
+  return breakdown.reduce((worst, segment) => {
+    const rank = CATEGORY_SEVERITY.indexOf(segment.category);
+    const worstRank = CATEGORY_SEVERITY.indexOf(worst.category);
+    if (rank < worstRank) return segment;
+    if (rank === worstRank && segment.confidence < worst.confidence) return segment;
+    return worst;
+  });
+}
 
 /**
  * Categorize command safety
@@ -25,6 +39,54 @@ export function categorizeCommand(command, knowledgeBase) {
     return { category: 'unknown', confidence: 0.50 };
   }
 
+  const whole = categorizeSegment(cmd, knowledgeBase);
+  const fromKnowledgeBase = whole.category === 'skip' || whole.fromKnowledgeBase;
+  // Only knowledge base rules that describe the full command line win over segment analysis
+  if (fromKnowledgeBase && matchesWholeCommand(cmd, knowledgeBase, whole.category)) {
+    return { category: whole.category, confidence: whole.confidence };
+  }
+
+  // Prefix rules such as "^npm test" still apply, but chained segments can only make it worse
+  const segments = splitShellCommand(cmd);
+  if (segments.length === 1 && segments[0] !== cmd) {
+    const segment = categorizeSegment(segments[0], knowledgeBase);
+    const { category, confidence } = fromKnowledgeBase ? pickMostDangerous([whole, segment]) : segment;
+    return { category, confidence };
+  }
+
+  if (segments.length > 1) {
+    const breakdown = segments.map(segment => {
+      const { category, confidence } = categorizeSegment(segment, knowledgeBase);
+      return { command: segment, category, confidence };
+    });
+    const { category, confidence } = pickMostDangerous(fromKnowledgeBase ? [whole, ...breakdown] : breakdown);
+    return { category, confidence, segments: breakdown };
+  }
+
+  return { category: whole.category, confidence: whole.confidence };
+}
+
+/**
+ * Check whether a knowledge base rule of `category` covers the entire command
+ * line: an exact match, or a pattern anchored at the end with `$`
+ */
+function matchesWholeCommand(cmd, knowledgeBase, category) {
+  const rules = knowledgeBase?.validationRules?.[category];
+  if (!rules) return false;
+  if (Array.isArray(rules.exactMatches) && rules.exactMatches.includes(cmd)) return true;
+
+  const patterns = Array.isArray(rules.patterns) ? rules.patterns : [];
+  return patterns.some(pattern => {
+    if (typeof pattern !== 'string' || !/(?:^|[^\\])\$$/.test(pattern)) return false;
+    try {
+      return new RegExp(pattern.startsWith('^') ? pattern : `^${pattern}`).test(cmd);
+    } catch {
+      return false;
+    }
+  });
+}
+
+function categorizeSegment(cmd, knowledgeBase) {
   // Check if this command should be skipped entirely
   if (knowledgeBase && shouldSkipCommand(cmd, knowledgeBase)) {
     return { category: 'skip', confidence: 1.0 };
@@ -33,9 +95,13 @@ export function categorizeCommand(command, knowledgeBase) {
   // Check knowledge base first (takes precedence over hardcoded patterns)
   if (knowledgeBase) {
     const kbResult = checkKnowledgeBase(cmd, knowledgeBase);
-    if (kbResult) return kbResult;
+    if (kbResult) return { ...kbResult, fromKnowledgeBase: true };
   }
 
+  return categorizeSimpleCommand(cmd);
+}
+
+function categorizeSimpleCommand(cmd) {
   // Fall back to hardcoded patterns
   // Dangerous commands - never execute
   const dangerous = [
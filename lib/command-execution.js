@@ -0,0 +1,335 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { setTimeout, clearTimeout } from 'timers';
+
+import { splitShellCommand, splitShellWords } from './shell-parser.js';
+import { stripCommandPrefixes } from './working-directory.js';
+
+// Keep runaway output from exhausting memory; the tail is dropped
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+
+// Directories never copied into the sandbox
+const EXCLUDED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Directory, relative to the repository root, a documented location runs its
+ * command in; null when it cannot be reproduced inside the sandbox
+ */
+export function resolveLocationDirectory(location) {
+  const cwd = location?.cwd;
+  if (!cwd) return '.';
+  // Directories outside the repository (cd ~/x, cd $DIR) cannot be reproduced
+  if (cwd.startsWith('~') || cwd.startsWith('..') || path.isAbsolute(cwd)) return null;
+  return cwd;
+}
+
+/**
+ * Every directory the command is documented to run in; null when any of them
+ * cannot be reproduced inside the sandbox
+ */
+export function resolveWorkingDirectories(result) {
+  const locations = result.locations?.length ? result.locations : [{}];
+  const directories = locations.map(resolveLocationDirectory);
+  return directories.includes(null) ? null : [...new Set(directories)];
+}
+
+// Output redirections outside quotes: >, >>, >|, &> and N>
+function findOutputRedirection(segment) {
+  let quote = null;
+  for (let index = 0; index < segment.length; index++) {
+    const char = segment[index];
+    if (quote) {
+      if (char === quote) quote = null;
+      else if (char === '\\' && quote === '"') index += 1;
+      continue;
+    }
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      const rest = segment.slice(index + 1).replace(/^[>|]/, '');
+      // Duplicating or closing a descriptor (2>&1, >&-) writes no file
+      if (/^&(\d+|-)(\s|$)/.test(rest)) continue;
+      const target = rest.trimStart().split(/[\s;&|]/)[0];
+      if (target !== '/dev/null') return target || '>';
+    }
+  }
+  return null;
+}
+
+function isOutsidePath(word) {
+  if (word === '/dev/null') return false;
+  return word.startsWith('~')
+    || path.posix.isAbsolute(word)
+    || path.win32.isAbsolute(word)
+    || word.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Explain why a command could touch files outside its sandbox: it redirects
+ * output into a file, or names an absolute, home or `..` path. Returns null
+ * when neither applies.
+ */
+export function findUnsafeOperation(command) {
+  for (const segment of splitShellCommand(command)) {
+    const redirection = findOutputRedirection(segment);
+    if (redirection) {
+      return `redirects output to ${redirection}`;
+    }
+
+    for (const word of stripCommandPrefixes(splitShellWords(segment))) {
+      const value = /^--?[\w-]+=/.test(word) ? word.slice(word.indexOf('=') + 1) : word;
+      if (isOutsidePath(value)) {
+        return `uses a path outside the sandbox (${value})`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether a validated command may run unattended
+ */
+export function isExecutable(result) {
+  const { validation } = result;
+  return validation.category === 'safe'
+    && validation.available === true
+    && validation.success !== false
+    && resolveWorkingDirectories(result) !== null
+    && findUnsafeOperation(result.command) === null;
+}
+
+/**
+ * Build the environment a sandboxed command sees: only the configured
+ * variables pass through, and HOME/TMPDIR point inside the sandbox.
+ */
+export function buildSandboxEnv(sourceEnv, allowed, sandboxRoot) {
+  const env = {};
+  for (const name of allowed) {
+    if (sourceEnv[name] !== undefined) {
+      env[name] = sourceEnv[name];
+    }
+  }
+
+  const home = path.join(sandboxRoot, 'home');
+  const tmp = path.join(sandboxRoot, 'tmp');
+  return {
+    ...env,
+    HOME: home,
+    USERPROFILE: home,
+    TMPDIR: tmp,
+    TEMP: tmp,
+    TMP: tmp,
+    CI: 'true',
+  };
+}
+
+// Map of relative path to a signature that changes when the entry is modified
+async function listTree(root) {
+  const entries = new Map();
+
+  async function walk(relative) {
+    let dirents;
+    try {
+      dirents = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+    } catch {
+      // An unreadable directory no longer matches its signature and is restored whole
+      entries.set(relative, 'unreadable');
+      return;
+    }
+    for (const dirent of dirents) {
+      const child = path.join(relative, dirent.name);
+      const stats = await fs.lstat(path.join(root, child));
+      entries.set(child, stats.isDirectory() ? `d:${stats.mode}` : `${stats.mode}:${stats.size}:${stats.mtimeMs}`);
+      if (stats.isDirectory()) await walk(child);
+    }
+  }
+
+  await walk('');
+  return entries;
+}
+
+function isWithin(child, parent) {
+  return child.startsWith(`${parent}${path.sep}`);
+}
+
+/**
+ * Create the sandbox one run executes its commands in. The working tree is
+ * copied once; `reset` puts back what the previous command changed by
+ * comparing the copy against the listing taken after copying, so only
+ * modified entries are copied again.
+ */
+export async function createExecutionSandbox(config) {
+  const sandboxRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'command-verify-exec-'));
+  const workDir = path.join(sandboxRoot, 'work');
+  const copyFromSource = config.executionSandbox !== 'temp';
+  const sourceDir = path.resolve(config.cwd);
+  const cacheDir = path.resolve(config.cacheDir);
+
+  const copyOptions = {
+    recursive: true,
+    verbatimSymlinks: true,
+    preserveTimestamps: true,
+    // Dependencies stay out: a linked node_modules would be writable from the sandbox
+    filter: source => {
+      const resolved = path.resolve(source);
+      if (resolved === cacheDir) return false;
+      return !(path.dirname(resolved) === sourceDir && EXCLUDED_DIRECTORIES.has(path.basename(resolved)));
+    },
+  };
+
+  await fs.mkdir(workDir, { recursive: true });
+  if (copyFromSource) {
+    await fs.cp(sourceDir, workDir, copyOptions);
+  }
+  let baseline = await listTree(workDir);
+
+  async function resetScratchDirectories() {
+    for (const name of ['home', 'tmp']) {
+      const directory = path.join(sandboxRoot, name);
+      await fs.rm(directory, { recursive: true, force: true });
+      await fs.mkdir(directory, { recursive: true });
+    }
+  }
+  await resetScratchDirectories();
+
+  return {
+    sandboxRoot,
+    workDir,
+    async reset() {
+      await resetScratchDirectories();
+      const current = await listTree(workDir);
+      const restored = [];
+
+      for (const relative of current.keys()) {
+        if (!baseline.has(relative) && !restored.some(parent => isWithin(relative, parent))) {
+          await fs.rm(path.join(workDir, relative), { recursive: true, force: true });
+          restored.push(relative);
+        }
+      }
+      for (const [relative, signature] of baseline) {
+        if (current.get(relative) === signature || restored.some(parent => isWithin(relative, parent))) continue;
+        const target = path.join(workDir, relative);
+        await fs.rm(target, { recursive: true, force: true });
+        await fs.cp(path.join(sourceDir, relative), target, copyOptions);
+        restored.push(relative);
+      }
+
+      if (restored.length > 0) {
+        baseline = await listTree(workDir);
+      }
+    },
+    async dispose() {
+      await fs.rm(sandboxRoot, { recursive: true, force: true });
+    },
+  };
+}
+
+function appendOutput(buffer, chunk) {
+  if (buffer.length >= MAX_OUTPUT_BYTES) return buffer;
+  return buffer + chunk.slice(0, MAX_OUTPUT_BYTES - buffer.length);
+}
+
+/**
+ * Run a shell command and capture its output. The whole process group is
+ * killed when the timeout expires so background children do not linger.
+ */
+export function runShellCommand(command, { cwd, env, timeout }) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const child = spawn(command, {
+      cwd,
+      env,
+      shell: true,
+      detached: process.platform !== 'win32',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    }, timeout);
+
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdout.on('data', chunk => {
+      stdout = appendOutput(stdout, chunk);
+    });
+    child.stderr.on('data', chunk => {
+      stderr = appendOutput(stderr, chunk);
+    });
+
+    const finish = exitCode => {
+      clearTimeout(timer);
+      resolve({ exitCode, stdout, stderr, timedOut, duration: Date.now() - startedAt });
+    };
+
+    child.on('error', error => {
+      stderr = appendOutput(stderr, error.message);
+      finish(127);
+    });
+    child.on('close', (code, signal) => {
+      finish(code ?? (signal ? 128 + (os.constants.signals[signal] ?? 0) : 1));
+    });
+  });
+}
+
+function describeRun({ cwd, exitCode, stdout, stderr, duration, timedOut }) {
+  return { cwd, exitCode, stdout, stderr, duration, ...(timedOut ? { timedOut: true } : {}) };
+}
+
+/**
+ * Execute a validated command once in every directory it is documented to
+ * run in and return a record in the executions cache format. The top-level
+ * output is the first failing run's, or the first run's when all pass.
+ * Without a shared `sandbox`, one is created for this command alone.
+ */
+export async function executeCommand(result, { config, commit, env = process.env, sandbox }) {
+  const executedAt = new Date().toISOString();
+  const active = sandbox ?? await createExecutionSandbox(config);
+  const { sandboxRoot, workDir } = active;
+  const runs = [];
+
+  try {
+    for (const cwd of resolveWorkingDirectories(result)) {
+      if (runs.length > 0) await active.reset();
+      const commandDir = path.resolve(workDir, cwd);
+      await fs.mkdir(commandDir, { recursive: true });
+      const run = await runShellCommand(result.command, {
+        cwd: commandDir,
+        env: buildSandboxEnv(env, config.executionEnv, sandboxRoot),
+        timeout: config.executionTimeout,
+      });
+      runs.push({ cwd, ...run, success: run.exitCode === 0 && !run.timedOut });
+    }
+  } finally {
+    // A shared sandbox is left clean for the next command
+    await (sandbox ? sandbox.reset() : active.dispose());
+  }
+
+  const reported = runs.find(run => !run.success) ?? runs[0];
+  return {
+    command: result.command,
+    executedAt,
+    duration: runs.reduce((total, run) => total + run.duration, 0),
+    exitCode: reported.exitCode,
+    stdout: reported.stdout,
+    stderr: reported.stderr,
+    success: runs.every(run => run.success),
+    commit: commit ?? null,
+    ...(reported.timedOut ? { timedOut: true } : {}),
+    // Commands documented under several directories keep each run's result
+    ...(runs.length > 1 ? { runs: runs.map(describeRun) } : {}),
+  };
+}
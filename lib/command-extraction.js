@@ -1,4 +1,7 @@
+import path from 'path';
+
 import { looksLikeCommand } from './command-detection.js';
+import { splitShellCommand, splitShellWords } from './shell-parser.js';
 
 const KNOWN_LANGUAGES = new Set([
   'bash',
@@ -9,10 +12,27 @@ const KNOWN_LANGUAGES = new Set([
   'cmd',
   'powershell',
   'ps1',
+  'pwsh',
   'zsh',
   'fish',
 ]);
 
+// Fences whose content is a transcript: prompted commands followed by their output
+const TRANSCRIPT_LANGUAGES = new Set(['console', 'terminal']);
+// Fences that continue lines with a trailing backtick instead of a backslash
+const POWERSHELL_LANGUAGES = new Set(['powershell', 'ps1', 'pwsh']);
+const PROMPT_PATTERN = /^\s*(?:\$|#|>|PS>)\s(.*)$/;
+
+const FRONTMATTER_CLOSERS = {
+  '---': ['---', '...'],
+  '+++': ['+++'],
+};
+
+// MDX components whose children are a code sample
+const CODE_COMPONENTS = ['CodeBlock', 'Code'];
+const CODE_COMPONENT_START = new RegExp(`^\\s*<(${CODE_COMPONENTS.join('|')})\\b`);
+const ESM_STATEMENT = /^(?:import|export)\b/;
+
 // Command patterns for discovery (kept for compatibility with existing tests)
 export const COMMAND_PATTERNS = {
   codeBlock: /^\s*```([a-zA-Z0-9_-]*)\s*$/gm,
@@ -55,51 +75,435 @@ function extractInlineCommands(line, lineNumber, file, commands) {
   }
 }
 
+function getContinuation(line, language) {
+  if (POWERSHELL_LANGUAGES.has(language)) {
+    return /\s`$/.test(line) ? line.slice(0, -1) : null;
+  }
+  const trailingBackslashes = line.match(/\\+$/);
+  if (trailingBackslashes && trailingBackslashes[0].length % 2 === 1) {
+    return line.slice(0, -1);
+  }
+  return null;
+}
+
+function joinContinuedLines(lines, language) {
+  const logical = [];
+  let pending = null;
+
+  for (const { text, lineNumber } of lines) {
+    const trimmed = text.trim();
+    const continued = getContinuation(trimmed, language);
+    const segment = (continued ?? trimmed).trim();
+
+    if (pending) {
+      pending.parts.push(segment);
+      pending.endLine = lineNumber;
+    } else {
+      pending = { parts: [segment], line: lineNumber, endLine: lineNumber };
+    }
+
+    if (continued === null) {
+      logical.push(pending);
+      pending = null;
+    }
+  }
+
+  if (pending) {
+    logical.push(pending);
+  }
+
+  return logical.map(({ parts, line, endLine }) => ({
+    head: parts[0],
+    text: parts.filter(Boolean).join(' '),
+    line,
+    endLine,
+  }));
+}
+
+function changeDirectory(cwd, target) {
+  // "cd", "cd -", "cd ~/x", "cd $DIR" and absolute paths leave the repository
+  if (!target || /^[~$-]/.test(target) || path.posix.isAbsolute(target) || cwd?.startsWith('~')) {
+    return '~';
+  }
+  const next = path.posix.normalize(path.posix.join(cwd ?? '.', target.replace(/\\/g, '/')));
+  return next === '.' ? null : next.replace(/\/$/, '');
+}
+
 /**
- * Extract commands from markdown content
+ * Follow `cd` commands so later commands in the same block know where they
+ * run. Returns the directory relative to the repository root, null for the
+ * root itself, or "~" when it cannot be resolved statically.
  */
-export function extractCommandsFromMarkdown(content, filePath) {
-  const normalisedContent = normaliseContent(content);
-  const file = resolveFilePath(filePath);
-  const commands = [];
+function trackWorkingDirectory(command, cwd) {
+  let current = cwd;
+  for (const segment of splitShellCommand(command)) {
+    const [name, target] = splitShellWords(segment);
+    if (name === 'cd' || name === 'pushd') {
+      current = changeDirectory(current, target);
+    }
+  }
+  return current;
+}
+
+function withWorkingDirectory(record, cwd) {
+  if (cwd) {
+    record.cwd = cwd;
+  }
+  return trackWorkingDirectory(record.command, cwd);
+}
+
+function stripPrompt(text) {
+  const match = text.match(PROMPT_PATTERN);
+  return match ? match[1] : null;
+}
+
+function trimBlankLines(lines) {
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start += 1;
+  while (end > start && !lines[end - 1].trim()) end -= 1;
+  return lines.slice(start, end);
+}
+
+function extractTranscriptCommands(blockLines, language, file, commands) {
+  let current = null;
+  let continuing = false;
+  let cwd = null;
+
+  const finish = () => {
+    if (!current) return;
+    const output = trimBlankLines(current.output);
+    if (output.length > 0) {
+      current.record.expectedOutput = output.join('\n');
+    }
+    if (current.record.command) {
+      cwd = withWorkingDirectory(current.record, cwd);
+      commands.push(current.record);
+    }
+    current = null;
+  };
+
+  for (const { text, lineNumber } of blockLines) {
+    if (continuing) {
+      // Secondary prompts ("> ") may prefix continuation lines
+      const body = (stripPrompt(text) ?? text).trim();
+      const continued = getContinuation(body, language);
+      const segment = (continued ?? body).trim();
+      const { record } = current;
+      record.command = [record.command, segment].filter(Boolean).join(' ');
+      record.endLine = lineNumber;
+      continuing = continued !== null;
+      continue;
+    }
+
+    const prompted = stripPrompt(text);
+    if (prompted !== null) {
+      finish();
+      const body = prompted.trim();
+      const continued = getContinuation(body, language);
+      current = {
+        record: {
+          command: (continued ?? body).trim(),
+          file,
+          line: lineNumber,
+          type: 'code-block',
+          language,
+        },
+        output: [],
+      };
+      continuing = continued !== null;
+      continue;
+    }
+
+    if (current) {
+      current.output.push(text);
+    }
+  }
+
+  finish();
+}
+
+function extractBlockCommands(blockLines, language, file, commands) {
+  if (TRANSCRIPT_LANGUAGES.has(language) && blockLines.some(({ text }) => stripPrompt(text) !== null)) {
+    extractTranscriptCommands(blockLines, language, file, commands);
+    return;
+  }
+
+  let cwd = null;
+  for (const { head, text, line, endLine } of joinContinuedLines(blockLines, language)) {
+    // Detect on the first physical line: joined commands can exceed the length heuristics
+    if (!looksLikeCommand(endLine === line ? text : head)) continue;
+
+    const record = {
+      command: text,
+      file,
+      line,
+      type: 'code-block',
+      language,
+    };
+    if (endLine !== line) {
+      record.endLine = endLine;
+    }
+    cwd = withWorkingDirectory(record, cwd);
+    commands.push(record);
+  }
+}
+
+function isMdxFile(filePath) {
+  return typeof filePath === 'string' && filePath.toLowerCase().endsWith('.mdx');
+}
+
+/**
+ * Count the lines taken by YAML (---) or TOML (+++) frontmatter at the top of
+ * the document; an unclosed block is not frontmatter
+ */
+function countFrontmatterLines(lines) {
+  const opener = lines[0]?.trim();
+  const closers = FRONTMATTER_CLOSERS[opener];
+  if (!closers) return 0;
+  for (let index = 1; index < lines.length; index += 1) {
+    if (closers.includes(lines[index].trim())) return index + 1;
+  }
+  return 0;
+}
 
-  const lines = normalisedContent.split('\n');
+function readAttribute(attributes, names) {
+  for (const name of names) {
+    const match = attributes.match(new RegExp(`\\b${name}=(?:"([^"]*)"|'([^']*)'|\\{\\s*["'\`]([^"'\`]*)["'\`]\\s*\\})`));
+    if (match) return match.slice(1).find(value => value !== undefined);
+  }
+  return undefined;
+}
 
-  let inCodeBlock = false;
-  let codeBlockLanguage = 'unknown';
+function readComponentLanguage(attributes) {
+  const language = readAttribute(attributes, ['language', 'lang']);
+  if (language) return language;
+  return readAttribute(attributes, ['className'])?.match(/(?:^|\s)language-([\w-]+)/)?.[1];
+}
+
+function stripExpressionWrapper(lines) {
+  // Children passed as {`...`} or {"..."} expressions
+  const content = lines.filter(({ text }) => text.trim());
+  if (content.length === 0) return lines;
+  const first = content[0];
+  const last = content[content.length - 1];
+  if (!/^\s*\{\s*[`"']/.test(first.text) || !/[`"']\s*\}\s*$/.test(last.text)) return lines;
+
+  return lines.map(line => {
+    let { text } = line;
+    if (line === first) text = text.replace(/^\s*\{\s*[`"']/, '');
+    if (line === last) text = text.replace(/[`"']\s*\}\s*$/, '');
+    return { ...line, text };
+  });
+}
+
+/**
+ * Read a JSX opening tag that starts at `lines[startIndex]` up to its closing
+ * `>`, which may be several lines down. Quoted attribute values and `{...}`
+ * expressions are skipped, so a `>` inside them does not end the tag. Returns
+ * null for a tag that never closes.
+ */
+function readOpeningTag(lines, startIndex, startColumn) {
+  let attributes = '';
+  let quote = null;
+  let depth = 0;
+
+  for (let index = startIndex; index < lines.length; index += 1) {
+    const line = lines[index];
+    for (let column = index === startIndex ? startColumn : 0; column < line.length; column += 1) {
+      const char = line[column];
+      if (quote) {
+        // Escapes only exist inside JavaScript expressions
+        if (char === '\\' && depth > 0) {
+          attributes += char + (line[column + 1] ?? '');
+          column += 1;
+          continue;
+        }
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if (char === '{') {
+        depth += 1;
+      } else if (char === '}') {
+        depth -= 1;
+      } else if (char === '>' && depth <= 0) {
+        const selfClosing = /\/\s*$/.test(attributes);
+        return {
+          attributes: selfClosing ? attributes.replace(/\/\s*$/, '') : attributes,
+          selfClosing,
+          endIndex: index,
+          rest: line.slice(column + 1),
+        };
+      }
+      attributes += char;
+    }
+    attributes += '\n';
+  }
+  return null;
+}
 
-  for (let index = 0; index < lines.length; index += 1) {
-    const rawLine = lines[index];
-    const line = rawLine.replace(/\r$/, '');
+function openCodeComponent(name, { attributes, selfClosing, rest }, lineNumber, endLine) {
+  const block = {
+    kind: 'block',
+    language: normaliseLanguage(readComponentLanguage(attributes)),
+    start: lineNumber,
+    lines: [],
+  };
+
+  if (selfClosing) {
+    const code = readAttribute(attributes, ['code']) ?? '';
+    block.lines = code.split('\n').map(text => ({ text, lineNumber }));
+    block.end = endLine;
+    return block;
+  }
+
+  const close = rest.indexOf(`</${name}>`);
+  const text = close === -1 ? rest : rest.slice(0, close);
+  if (text.trim()) {
+    block.lines.push({ text, lineNumber: endLine });
+  }
+  if (close === -1) {
+    block.component = name;
+  } else {
+    block.lines = stripExpressionWrapper(block.lines);
+    block.end = endLine;
+  }
+  return block;
+}
+
+/**
+ * Track brackets and string literals through an ESM statement so a blank
+ * line inside `export const x = {...}` does not end it. Returns whether the
+ * statement is still open after this line.
+ */
+function continueEsmStatement(line, state) {
+  for (let column = 0; column < line.length; column += 1) {
+    const char = line[column];
+    if (state.quote) {
+      if (char === '\\') {
+        column += 1;
+      } else if (char === state.quote) {
+        state.quote = null;
+      }
+    } else if (char === '"' || char === "'" || char === '`') {
+      state.quote = char;
+    } else if (char === '/' && line[column + 1] === '/') {
+      break;
+    } else if ('{(['.includes(char)) {
+      state.depth += 1;
+    } else if ('})]'.includes(char)) {
+      state.depth -= 1;
+    }
+  }
+  // Only template literals may span lines
+  if (state.quote !== '`') state.quote = null;
+  return state.depth > 0 || state.quote !== null || line.trim() !== '';
+}
+
+/**
+ * Split a document into prose lines and code blocks, in order. Frontmatter is
+ * skipped; in MDX files ESM import/export blocks are skipped too and JSX code
+ * components such as <CodeBlock language="bash"> count as code blocks.
+ */
+function scanDocument(content, filePath) {
+  const lines = normaliseContent(content).split('\n');
+  const mdx = isMdxFile(filePath);
+  const items = [];
+  let block = null;
+  let esm = null;
+
+  const finishBlock = end => {
+    block.end = end;
+    if (block.component) {
+      block.lines = stripExpressionWrapper(block.lines);
+      delete block.component;
+    }
+    items.push(block);
+    block = null;
+  };
+
+  for (let index = countFrontmatterLines(lines); index < lines.length; index += 1) {
+    const line = lines[index].replace(/\r$/, '');
     const lineNumber = index + 1;
 
+    if (block?.component) {
+      const close = line.indexOf(`</${block.component}>`);
+      const text = close === -1 ? line : line.slice(0, close);
+      if (close === -1 || text.trim()) {
+        block.lines.push({ text, lineNumber });
+      }
+      if (close !== -1) finishBlock(lineNumber);
+      continue;
+    }
+
     const fenceMatch = line.match(/^\s*```([^\s]*)?/);
     if (fenceMatch) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        codeBlockLanguage = normaliseLanguage(fenceMatch[1]);
+      if (block) {
+        finishBlock(lineNumber);
       } else {
-        inCodeBlock = false;
-        codeBlockLanguage = 'unknown';
+        block = { kind: 'block', language: normaliseLanguage(fenceMatch[1]), start: lineNumber, lines: [] };
       }
       continue;
     }
 
-    if (inCodeBlock) {
-      const trimmed = line.trim();
-      if (looksLikeCommand(trimmed)) {
-        commands.push({
-          command: trimmed,
-          file,
-          line: lineNumber,
-          type: 'code-block',
-          language: codeBlockLanguage,
-        });
-      }
+    if (block) {
+      block.lines.push({ text: line, lineNumber });
       continue;
     }
 
-    extractInlineCommands(line, lineNumber, file, commands);
+    if (mdx) {
+      // ESM statements run until a blank line outside any brackets or template literal
+      if (esm || ESM_STATEMENT.test(line)) {
+        esm ??= { depth: 0, quote: null };
+        if (!continueEsmStatement(line, esm)) esm = null;
+        continue;
+      }
+
+      const component = line.match(CODE_COMPONENT_START);
+      const tag = component && readOpeningTag(lines, index, component[0].length);
+      if (tag) {
+        block = openCodeComponent(component[1], tag, lineNumber, tag.endIndex + 1);
+        index = tag.endIndex;
+        if (!block.component) {
+          items.push(block);
+          block = null;
+        }
+        continue;
+      }
+    }
+
+    items.push({ kind: 'prose', text: line, lineNumber });
+  }
+
+  if (block) {
+    finishBlock(lines.length);
+  }
+  return items;
+}
+
+/**
+ * List the line ranges of code blocks (fenced, or JSX code components in
+ * MDX), fences included. An unterminated block runs to the end of the content.
+ */
+export function findCodeBlockRanges(content, filePath) {
+  return scanDocument(content, filePath)
+    .filter(item => item.kind === 'block')
+    .map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Extract commands from markdown or MDX content
+ */
+export function extractCommandsFromMarkdown(content, filePath) {
+  const file = resolveFilePath(filePath);
+  const commands = [];
+
+  for (const item of scanDocument(content, file)) {
+    if (item.kind === 'block') {
+      extractBlockCommands(item.lines, item.language, file, commands);
+    } else {
+      extractInlineCommands(item.text, item.lineNumber, file, commands);
+    }
   }
 
   return commands;
@@ -2,6 +2,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import { pathToFileURL } from 'url';
 
+import { SEVERITY_LEVELS } from './messages.js';
+
 export class ConfigurationError extends Error {
   constructor(message, hints = []) {
     super(message);
@@ -16,15 +18,27 @@ const CONFIG_FILES = [
 ];
 
 export const DEFAULT_CONFIG = {
-  include: ['**/*.md'],
+  include: ['**/*.md', '**/*.mdx'],
   ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**', '.cache/**'],
   cacheDir: '.cache/command-validations',
+  cacheBackend: 'jsonl',
+  cacheEnvVars: [],
+  cacheAutoPrune: true,
+  cacheTtlDays: null,
+  cacheMaxEntries: null,
   knowledgeBasePath: '.claude/knowledge.json',
   treatUnknownAsWarnings: true,
   failOnMissingKnowledgeBase: false,
   fallbackFileDiscovery: true,
+  respectIgnoreFiles: true,
+  failOn: null,
+  executionTimeout: 30000,
+  executionSandbox: 'copy',
+  executionEnv: ['PATH', 'LANG', 'LC_ALL', 'TERM', 'SystemRoot', 'PATHEXT', 'ComSpec'],
 };
 
+const EXECUTION_SANDBOXES = ['copy', 'temp'];
+
 function validateStringArray(value, key) {
   if (!Array.isArray(value)) {
     throw new ConfigurationError(`"${key}" must be an array of strings`, [
@@ -60,6 +74,24 @@ function validateString(value, key) {
   return value;
 }
 
+export function validatePositiveInteger(value, key) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new ConfigurationError(`"${key}" must be a positive integer`, [
+      `Set ${key} to a whole number greater than zero`,
+    ]);
+  }
+  return value;
+}
+
+export function validateSeverity(value, key) {
+  if (!SEVERITY_LEVELS.includes(value)) {
+    throw new ConfigurationError(`"${key}" must be one of ${SEVERITY_LEVELS.join(', ')}`, [
+      `Set ${key} to "error" to fail only on errors, or remove it to never fail`,
+    ]);
+  }
+  return value;
+}
+
 async function loadConfigModule(filePath) {
   try {
     const module = await import(pathToFileURL(filePath).href);
@@ -93,6 +125,8 @@ function resolvePaths(config, cwd) {
   resolved.cwd = cwd;
   resolved.cacheDir = path.resolve(cwd, config.cacheDir);
   resolved.commandsCacheDir = path.join(resolved.cacheDir, 'commands');
+  resolved.cacheStoreFile = path.join(resolved.cacheDir, 'cache.jsonl');
+  resolved.executionsCacheDir = path.join(resolved.cacheDir, 'executions');
   resolved.lastCommitFile = path.join(resolved.cacheDir, 'last-validation-commit.txt');
   resolved.knowledgeBasePath = config.knowledgeBasePath
     ? path.resolve(cwd, config.knowledgeBasePath)
@@ -122,6 +156,26 @@ function validateConfigShape(config) {
     result.cacheDir = validateString(config.cacheDir, 'cacheDir');
   }
 
+  if (config.cacheBackend !== undefined) {
+    result.cacheBackend = validateString(config.cacheBackend, 'cacheBackend');
+  }
+
+  if (config.cacheEnvVars !== undefined) {
+    result.cacheEnvVars = validateStringArray(config.cacheEnvVars, 'cacheEnvVars');
+  }
+
+  if (config.cacheAutoPrune !== undefined) {
+    result.cacheAutoPrune = validateBoolean(config.cacheAutoPrune, 'cacheAutoPrune');
+  }
+
+  if (config.cacheTtlDays !== undefined && config.cacheTtlDays !== null) {
+    result.cacheTtlDays = validatePositiveInteger(config.cacheTtlDays, 'cacheTtlDays');
+  }
+
+  if (config.cacheMaxEntries !== undefined && config.cacheMaxEntries !== null) {
+    result.cacheMaxEntries = validatePositiveInteger(config.cacheMaxEntries, 'cacheMaxEntries');
+  }
+
   if (config.knowledgeBasePath !== undefined) {
     if (config.knowledgeBasePath === null) {
       result.knowledgeBasePath = null;
@@ -142,6 +196,28 @@ function validateConfigShape(config) {
     result.fallbackFileDiscovery = validateBoolean(config.fallbackFileDiscovery, 'fallbackFileDiscovery');
   }
 
+  if (config.respectIgnoreFiles !== undefined) {
+    result.respectIgnoreFiles = validateBoolean(config.respectIgnoreFiles, 'respectIgnoreFiles');
+  }
+
+  if (config.failOn !== undefined && config.failOn !== null) {
+    result.failOn = validateSeverity(config.failOn, 'failOn');
+  }
+
+  if (config.executionTimeout !== undefined) {
+    result.executionTimeout = validatePositiveInteger(config.executionTimeout, 'executionTimeout');
+  }
+
+  if (config.executionSandbox !== undefined && !EXECUTION_SANDBOXES.includes(config.executionSandbox)) {
+    throw new ConfigurationError(`"executionSandbox" must be one of ${EXECUTION_SANDBOXES.join(', ')}`, [
+      'Use "copy" to run commands in a copy of the working tree or "temp" for an empty directory',
+    ]);
+  }
+
+  if (config.executionEnv !== undefined) {
+    result.executionEnv = validateStringArray(config.executionEnv, 'executionEnv');
+  }
+
   return result;
 }
 
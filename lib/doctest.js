@@ -0,0 +1,193 @@
+import { executeCommand, resolveLocationDirectory } from './command-execution.js';
+import { escapeRegExp } from './glob.js';
+
+// Expected output lines that match any number of actual lines
+const ELLIPSIS = '...';
+const REGEX_LINE = /^\/(.+)\/([dgimsuy]*)$/;
+const DIFF_CONTEXT = 3;
+// Above this many line comparisons the diff falls back to remove-all/add-all
+const MAX_DIFF_CELLS = 1_000_000;
+
+function toLines(text) {
+  const lines = String(text ?? '').replace(/\r\n/g, '\n').split('\n').map(line => line.replace(/\s+$/, ''));
+  let start = 0;
+  let end = lines.length;
+  while (start < end && !lines[start].trim()) start += 1;
+  while (end > start && !lines[end - 1].trim()) end -= 1;
+  return lines.slice(start, end);
+}
+
+function normaliseWhitespace(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
+function compileLine(line) {
+  const normalised = normaliseWhitespace(line);
+  if (normalised === ELLIPSIS) {
+    return { ellipsis: true, test: () => true };
+  }
+
+  const regex = normalised.match(REGEX_LINE);
+  if (regex) {
+    try {
+      const pattern = new RegExp(regex[1], regex[2]);
+      return {
+        test: actual => {
+          // The g and y flags make test() resume from the previous match
+          pattern.lastIndex = 0;
+          return pattern.test(normaliseWhitespace(actual));
+        },
+      };
+    } catch {
+      // Not a valid regular expression: compare it literally
+    }
+  }
+
+  if (normalised.includes(ELLIPSIS)) {
+    const pattern = new RegExp(`^${normalised.split(ELLIPSIS).map(escapeRegExp).join('.*')}$`);
+    return { test: actual => pattern.test(normaliseWhitespace(actual)) };
+  }
+
+  return { test: actual => normaliseWhitespace(actual) === normalised };
+}
+
+/**
+ * Check actual output against documented output. Whitespace runs are
+ * normalised, a line of `...` matches any number of lines, `...` inside a line
+ * matches any text and a `/regex/` line matches by regular expression.
+ */
+export function matchExpectedOutput(expected, actual) {
+  const matchers = toLines(expected).map(compileLine);
+  const actualLines = toLines(actual);
+
+  // next[j]: whether matchers[i + 1..] match actualLines[j..]
+  let next = actualLines.map(() => false).concat(true);
+  for (let i = matchers.length - 1; i >= 0; i -= 1) {
+    const current = new Array(actualLines.length + 1).fill(false);
+    for (let j = actualLines.length; j >= 0; j -= 1) {
+      if (matchers[i].ellipsis) {
+        current[j] = next[j] || (j < actualLines.length && current[j + 1]);
+      } else {
+        current[j] = j < actualLines.length && matchers[i].test(actualLines[j]) && next[j + 1];
+      }
+    }
+    next = current;
+  }
+
+  return next[0];
+}
+
+function diffLines(expected, actual) {
+  const matchers = expected.map(compileLine);
+  const rows = expected.length;
+  const columns = actual.length;
+
+  if (rows * columns > MAX_DIFF_CELLS) {
+    return [
+      ...expected.map(text => ({ type: '-', text })),
+      ...actual.map(text => ({ type: '+', text })),
+    ];
+  }
+
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = columns - 1; j >= 0; j -= 1) {
+      lengths[i][j] = !matchers[i].ellipsis && matchers[i].test(actual[j])
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < columns) {
+    if (i < rows && j < columns && !matchers[i].ellipsis && matchers[i].test(actual[j])) {
+      operations.push({ type: ' ', text: actual[j] });
+      i += 1;
+      j += 1;
+    } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push({ type: '-', text: expected[i] });
+      i += 1;
+    } else {
+      operations.push({ type: '+', text: actual[j] });
+      j += 1;
+    }
+  }
+  return operations;
+}
+
+function formatHunkRange(start, count) {
+  return count === 1 ? `${start}` : `${count === 0 ? start - 1 : start},${count}`;
+}
+
+/**
+ * Render a unified diff between documented and actual output
+ */
+export function formatOutputDiff(expected, actual, { label = 'expected' } = {}) {
+  const operations = diffLines(toLines(expected), toLines(actual));
+  const changed = operations.map((operation, index) => (operation.type === ' ' ? -1 : index)).filter(index => index >= 0);
+  if (changed.length === 0) return '';
+
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - DIFF_CONTEXT);
+    const end = Math.min(operations.length, index + DIFF_CONTEXT + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const output = [`--- ${label}`, '+++ actual'];
+  for (const { start, end } of hunks) {
+    const before = operations.slice(0, start);
+    const slice = operations.slice(start, end);
+    const oldStart = before.filter(operation => operation.type !== '+').length + 1;
+    const newStart = before.filter(operation => operation.type !== '-').length + 1;
+    const oldCount = slice.filter(operation => operation.type !== '+').length;
+    const newCount = slice.filter(operation => operation.type !== '-').length;
+
+    output.push(`@@ -${formatHunkRange(oldStart, oldCount)} +${formatHunkRange(newStart, newCount)} @@`);
+    output.push(...slice.map(({ type, text }) => `${type}${text}`));
+  }
+  return output.join('\n');
+}
+
+function combineOutput(run) {
+  // Transcripts show both streams, so both take part in the comparison
+  return [run.stdout, run.stderr].filter(Boolean).join('\n');
+}
+
+/**
+ * Compare a command's output against every location that documents output.
+ * The command runs in an empty temp directory unless `record` already holds
+ * an execution of it from --execute.
+ */
+export async function runDoctest(result, { config, commit, env, sandbox, record: executed }) {
+  const documented = (result.locations ?? []).filter(location => location.expectedOutput !== undefined);
+  const record = executed ?? await executeCommand(result, {
+    config: { ...config, executionSandbox: 'temp' },
+    commit,
+    env,
+    sandbox,
+  });
+
+  const mismatches = [];
+  for (const location of documented) {
+    const directory = resolveLocationDirectory(location);
+    const run = record.runs?.find(candidate => candidate.cwd === directory) ?? record;
+    const actual = combineOutput(run);
+    if (run.timedOut || !matchExpectedOutput(location.expectedOutput, actual)) {
+      mismatches.push({
+        location,
+        timedOut: Boolean(run.timedOut),
+        diff: formatOutputDiff(location.expectedOutput, actual, { label: `${location.file}:${location.line} (documented)` }),
+      });
+    }
+  }
+
+  return { record, mismatches };
+}
@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+import { splitShellWords } from './shell-parser.js';
+
+function hashValue(value) {
+  return crypto.createHash('sha1').update(value ?? '').digest('hex').slice(0, 16);
+}
+
+function readExecutableName(command) {
+  const words = splitShellWords(command.trim());
+  // Leading VAR=value assignments do not name the program
+  return words.find(word => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) ?? null;
+}
+
+async function statExecutable(file, platform) {
+  try {
+    const stats = await fs.stat(file);
+    if (!stats.isFile?.()) return null;
+    if (platform !== 'win32' && (stats.mode & 0o111) === 0) return null;
+    return { path: file, mtimeMs: Math.trunc(stats.mtimeMs), size: stats.size };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the file a command name runs by scanning PATH the way the shell does
+ */
+export async function resolveExecutable(name, { env = process.env, platform = process.platform } = {}) {
+  // Relative and absolute paths are checked by the path reference validator
+  if (!name || name.includes('/') || name.includes('\\')) return null;
+
+  const pathValue = env.PATH ?? env.Path ?? '';
+  const extensions = platform === 'win32'
+    ? ['', ...(env.PATHEXT ?? '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)]
+    : [''];
+
+  for (const directory of pathValue.split(platform === 'win32' ? ';' : ':').filter(Boolean)) {
+    for (const extension of extensions) {
+      const found = await statExecutable(path.join(directory, `${name}${extension}`), platform);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a function returning the environment fingerprint of a command: the
+ * platform, the executable it resolves to (path, mtime and size) and hashes of
+ * the configured environment variables. Lookups are shared within a run.
+ */
+export function createFingerprinter({ env = process.env, envVars = ['PATH'], platform = process.platform } = {}) {
+  const executables = new Map();
+  const envHashes = Object.fromEntries(envVars.map(name => [name, hashValue(env[name])]));
+
+  return async function fingerprint(command) {
+    const name = readExecutableName(command);
+    if (!executables.has(name)) {
+      executables.set(name, resolveExecutable(name, { env, platform }));
+    }
+    return {
+      platform,
+      executable: name ? { name, ...(await executables.get(name)) } : null,
+      env: envHashes,
+    };
+  };
+}
+
+/**
+ * Explain why a stored fingerprint no longer matches the current one, or
+ * return null when the cached result still applies
+ */
+export function describeFingerprintChange(stored, current) {
+  if (!stored) return 'no environment fingerprint recorded';
+  if (stored.platform !== current.platform) {
+    return `platform changed (${stored.platform} → ${current.platform})`;
+  }
+
+  const before = stored.executable;
+  const after = current.executable;
+  if (before?.name && after?.name === before.name) {
+    if (before.path && !after.path) return `"${after.name}" is no longer on PATH`;
+    if (!before.path && after.path) return `"${after.name}" is now on PATH (${after.path})`;
+    if (before.path !== after.path) return `"${after.name}" now resolves to ${after.path} (was ${before.path})`;
+    if (before.mtimeMs !== after.mtimeMs || before.size !== after.size) {
+      return `"${after.name}" was modified or upgraded`;
+    }
+  }
+
+  const names = new Set([...Object.keys(stored.env ?? {}), ...Object.keys(current.env ?? {})]);
+  const changed = [...names].filter(name => stored.env?.[name] !== current.env?.[name]);
+  if (changed.length > 0) {
+    return `environment variables changed (${changed.join(', ')})`;
+  }
+
+  return null;
+}
+
+/**
+ * Compare only the parts of a fingerprint that carry over to another machine:
+ * the platform and whether the command's executable is on PATH. Paths,
+ * modification times and environment hashes differ between machines that
+ * would validate the command the same way.
+ */
+export function describePortableFingerprintChange(stored, current) {
+  if (!stored) return 'no environment fingerprint recorded';
+  if (stored.platform !== current.platform) {
+    return `platform changed (${stored.platform} → ${current.platform})`;
+  }
+
+  const before = stored.executable;
+  const after = current.executable;
+  if (before?.name && after?.name === before.name) {
+    if (before.path && !after.path) return `"${after.name}" is not on PATH`;
+    if (!before.path && after.path) return `"${after.name}" is on PATH (${after.path})`;
+  }
+
+  return null;
+}
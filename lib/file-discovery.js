@@ -1,15 +1,18 @@
 import fs from 'fs/promises';
 import path from 'path';
 
+import { createGlobIgnore, createGlobMatcher, partitionPatterns } from './glob.js';
+import { createIgnoreMatcher } from './ignore-files.js';
+
 const REMOTE_CANDIDATES = ['glob', 'fast-glob'];
 const DEFAULT_OPTIONS = {
   cwd: process.cwd(),
   ignore: [],
   fallback: true,
+  respectIgnoreFiles: false,
   logger: console,
 };
 
-const regexCache = new Map();
 const moduleOverrides = new Map();
 
 export function __setFileDiscoveryModule(name, implementation) {
@@ -24,47 +27,6 @@ function toPosix(p) {
   return p.split(path.sep).join('/');
 }
 
-function patternToRegex(pattern) {
-  if (regexCache.has(pattern)) {
-    return regexCache.get(pattern);
-  }
-
-  const escaped = pattern
-    .replace(/[-/\\^$+?.()|[\]{}]/g, '\\$&')
-    .replace(/\*\*/g, '.*')
-    .replace(/\*/g, '[^/]*')
-    .replace(/\?/g, '[^/]');
-
-  const regex = new RegExp(`^${escaped}$`);
-  regexCache.set(pattern, regex);
-  return regex;
-}
-
-function matchesPattern(pattern, target, { treatDirectories = false } = {}) {
-  const posixPattern = pattern.replace(/\\/g, '/');
-  const posixTarget = target.replace(/\\/g, '/');
-
-  if (posixPattern === '**/*.md' || posixPattern === '*.md') {
-    return posixTarget.endsWith('.md');
-  }
-
-  if (posixPattern.endsWith('/**')) {
-    const prefix = posixPattern.slice(0, -3);
-    if (posixTarget === prefix) return true;
-    if (posixTarget.startsWith(`${prefix}/`)) return true;
-  }
-
-  if (treatDirectories && (posixPattern === posixTarget || posixPattern === `${posixTarget}/`)) {
-    return true;
-  }
-
-  return patternToRegex(posixPattern).test(posixTarget);
-}
-
-function shouldIgnore(target, patterns, { isDirectory }) {
-  return patterns.some(pattern => matchesPattern(pattern, target, { treatDirectories: isDirectory }));
-}
-
 async function discoverWithModule(moduleName, patterns, options) {
   try {
     const override = moduleOverrides.get(moduleName);
@@ -117,7 +79,10 @@ async function walkDirectory(root, dir, options, files) {
     const relative = toPosix(path.relative(root, fullPath));
 
     if (entry.isDirectory()) {
-      if (shouldIgnore(relative, options.ignore, { isDirectory: true })) {
+      if (options.globIgnore.childrenIgnored(relative)) {
+        continue;
+      }
+      if (await options.ignoreMatcher?.isIgnored(relative, { isDirectory: true })) {
         continue;
       }
       await walkDirectory(root, fullPath, options, files);
@@ -128,7 +93,11 @@ async function walkDirectory(root, dir, options, files) {
       continue;
     }
 
-    if (shouldIgnore(relative, options.ignore, { isDirectory: false })) {
+    if (options.globIgnore.isIgnored(relative)) {
+      continue;
+    }
+
+    if (await options.ignoreMatcher?.isIgnored(relative)) {
       continue;
     }
 
@@ -138,11 +107,13 @@ async function walkDirectory(root, dir, options, files) {
 
 async function discoverWithNative(patterns, options) {
   const files = [];
-  await walkDirectory(options.cwd, options.cwd, options, files);
+  // Same semantics as the glob package: ignore patterns match dotfiles, includes do not
+  await walkDirectory(options.cwd, options.cwd, { ...options, globIgnore: createGlobIgnore(options.ignore) }, files);
 
+  const matches = createGlobMatcher(patterns);
   const results = new Set();
   for (const relative of files) {
-    if (patterns.some(pattern => matchesPattern(pattern, relative, { treatDirectories: false }))) {
+    if (matches(relative)) {
       results.add(path.normalize(relative));
     }
   }
@@ -150,9 +121,24 @@ async function discoverWithNative(patterns, options) {
   return [...results];
 }
 
+async function removeIgnoredFiles(files, matcher) {
+  const kept = [];
+  for (const file of files) {
+    if (!(await matcher.isIgnored(toPosix(file)))) {
+      kept.push(file);
+    }
+  }
+  return kept;
+}
+
 export async function findMatchingFiles(patterns, inputOptions = {}) {
   const options = { ...DEFAULT_OPTIONS, ...inputOptions };
-  const uniquePatterns = Array.from(new Set(patterns));
+  // "!pattern" entries exclude files the same way the ignore option does
+  const { include, exclude } = partitionPatterns(Array.from(new Set(patterns)));
+  options.ignore = [...options.ignore, ...exclude];
+  const uniquePatterns = include;
+  // .gitignore, .git/info/exclude and .commandverifyignore at every level
+  options.ignoreMatcher = options.respectIgnoreFiles ? createIgnoreMatcher(options.cwd) : null;
 
   for (const candidate of REMOTE_CANDIDATES) {
     const matches = await discoverWithModule(candidate, uniquePatterns, options);
@@ -160,7 +146,7 @@ export async function findMatchingFiles(patterns, inputOptions = {}) {
       if (candidate !== 'glob') {
         options.logger?.info?.(`ℹ️  Using ${candidate} for file discovery`);
       }
-      return matches;
+      return options.ignoreMatcher ? removeIgnoredFiles(matches, options.ignoreMatcher) : matches;
     }
   }
 
@@ -0,0 +1,176 @@
+import { execFileSync } from 'child_process';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Diff options shared by every mode: no context lines, rename detection and
+// no user-configured diff drivers or colours that would break parsing
+const DIFF_OPTIONS = ['--unified=0', '--no-color', '--no-ext-diff', '-M'];
+const DIFF_GIT_HEADER = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/;
+
+function unquotePath(value) {
+  if (!value.startsWith('"')) return value;
+  // git quotes paths with special characters using C-style escapes
+  return JSON.parse(value.replace(/\\([0-7]{3})/g, (_, octal) => `\\u00${parseInt(octal, 8).toString(16).padStart(2, '0')}`));
+}
+
+function stripPrefix(value) {
+  const unquoted = unquotePath(value.trim());
+  if (unquoted === '/dev/null') return null;
+  return unquoted.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse `git diff` output into per-file hunks. Each hunk records its old and
+ * new ranges plus the new-side line numbers that were added or changed.
+ */
+export function parseUnifiedDiff(diffText) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+  let newLine = 0;
+
+  for (const line of String(diffText ?? '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      // Binary and pure rename entries have no ---/+++ lines, so start from the header
+      const header = line.match(DIFF_GIT_HEADER);
+      current = { file: header?.[2] ?? null, oldFile: header?.[1] ?? null, hunks: [] };
+      files.push(current);
+      hunk = null;
+      continue;
+    }
+    if (!current) continue;
+
+    if (!hunk && line.startsWith('--- ')) {
+      current.oldFile = stripPrefix(line.slice(4));
+      continue;
+    }
+    if (!hunk && line.startsWith('deleted file mode')) {
+      current.deleted = true;
+      continue;
+    }
+    if (!hunk && line.startsWith('+++ ')) {
+      current.file = stripPrefix(line.slice(4));
+      continue;
+    }
+    if (!hunk && line.startsWith('rename from ')) {
+      current.oldFile = unquotePath(line.slice('rename from '.length));
+      continue;
+    }
+    if (!hunk && line.startsWith('rename to ')) {
+      current.file = unquotePath(line.slice('rename to '.length));
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        added: [],
+      };
+      current.hunks.push(hunk);
+      newLine = hunk.newStart;
+      continue;
+    }
+    if (!hunk) continue;
+
+    if (line.startsWith('+')) {
+      hunk.added.push(newLine);
+      newLine += 1;
+    } else if (line.startsWith(' ')) {
+      newLine += 1;
+    }
+  }
+
+  for (const entry of files) {
+    // Deleted files have no new side
+    if (entry.deleted) entry.file = null;
+  }
+  return files;
+}
+
+/**
+ * Collect the new-side line numbers touched by a file's hunks
+ */
+export function collectChangedLines(hunks) {
+  const lines = new Set();
+  for (const hunk of hunks) {
+    hunk.added.forEach(line => lines.add(line));
+  }
+  return lines;
+}
+
+/**
+ * Check whether a hunk changed any new-side line in [start, end]. Pure
+ * deletions count when they removed lines from inside the range.
+ */
+export function hunkTouchesRange(hunk, start, end) {
+  if (hunk.newLines === 0) {
+    return hunk.newStart >= start && hunk.newStart < end;
+  }
+  const hunkEnd = hunk.newStart + hunk.newLines - 1;
+  return hunk.newStart <= end && hunkEnd >= start;
+}
+
+function runGit(args, cwd) {
+  // quotePath=false keeps non-ASCII file names readable in the output
+  return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+    cwd,
+    encoding: 'utf-8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * Read the diff for a pre-commit scope: "staged" compares the index with
+ * HEAD, "working-tree" compares the working copy (staged or not) with HEAD.
+ * Untracked files count as entirely added in working-tree mode.
+ */
+export function readScopedDiff(scope, cwd) {
+  if (scope === 'staged') {
+    return parseUnifiedDiff(runGit(['diff', '--cached', ...DIFF_OPTIONS], cwd));
+  }
+
+  const files = parseUnifiedDiff(runGit(['diff', 'HEAD', ...DIFF_OPTIONS], cwd));
+  const untracked = runGit(['ls-files', '--others', '--exclude-standard'], cwd).split('\n').filter(Boolean);
+  for (const file of untracked) {
+    files.push({ file, oldFile: null, hunks: [], untracked: true });
+  }
+  return files;
+}
+
+/**
+ * Read the per-file hunks between a commit and HEAD
+ */
+export function readCommitDiff(fromCommit, cwd) {
+  return parseUnifiedDiff(runGit(['diff', fromCommit, 'HEAD', ...DIFF_OPTIONS], cwd));
+}
+
+/**
+ * Resolve the commit where HEAD branched off `ref`
+ */
+export function resolveMergeBase(ref, cwd) {
+  return runGit(['merge-base', ref, 'HEAD'], cwd).trim();
+}
+
+/**
+ * Find the newest commit that two commits share, or null when either is
+ * unknown to this repository (for example in a shallow clone)
+ */
+export function findCommonAncestor(first, second, cwd) {
+  try {
+    return runGit(['merge-base', first, second], cwd).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a file as it is staged in the index
+ */
+export function readStagedFile(file, cwd) {
+  return runGit(['show', `:${file}`], cwd);
+}
@@ -0,0 +1,274 @@
+// Glob matching shared by discovery, invalidation rules and knowledge-base
+// file patterns. Follows the `glob` package (minimatch) semantics: brace
+// expansion, character classes, leading `!` negation and `**` matching zero or
+// more directories. Extglobs such as `+(a|b)` are not supported.
+
+const POSIX_CLASSES = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  blank: ' \\t',
+  digit: '0-9',
+  lower: 'a-z',
+  punct: '!-\\/:-@\\[-`{-~',
+  space: ' \\t\\r\\n\\v\\f',
+  upper: 'A-Z',
+  word: '\\w',
+  xdigit: '0-9a-fA-F',
+};
+
+const regexCache = new Map();
+
+export function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function findClosingBrace(pattern, open) {
+  let depth = 0;
+  for (let index = open; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+  return -1;
+}
+
+function splitAlternatives(body) {
+  const alternatives = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < body.length; index += 1) {
+    const char = body[index];
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '{') {
+      depth += 1;
+    } else if (char === '}') {
+      depth -= 1;
+    } else if (char === ',' && depth === 0) {
+      alternatives.push(body.slice(start, index));
+      start = index + 1;
+    }
+  }
+  alternatives.push(body.slice(start));
+  return alternatives;
+}
+
+function expandSequence(body) {
+  const numeric = body.match(/^(-?\d+)\.\.(-?\d+)(?:\.\.(-?\d+))?$/);
+  if (numeric) {
+    const [from, to] = [Number(numeric[1]), Number(numeric[2])];
+    const step = Math.abs(Number(numeric[3] ?? 1)) || 1;
+    // Zero padding is kept when either bound is padded: {01..10}
+    const width = /^-?0\d/.test(numeric[1]) || /^-?0\d/.test(numeric[2])
+      ? Math.max(numeric[1].length, numeric[2].length)
+      : 0;
+    const values = [];
+    for (let value = from; from <= to ? value <= to : value >= to; value += from <= to ? step : -step) {
+      values.push(String(value).padStart(width, '0'));
+    }
+    return values;
+  }
+
+  const alpha = body.match(/^([a-zA-Z])\.\.([a-zA-Z])$/);
+  if (alpha) {
+    const [from, to] = [alpha[1].charCodeAt(0), alpha[2].charCodeAt(0)];
+    const values = [];
+    for (let code = from; from <= to ? code <= to : code >= to; code += from <= to ? 1 : -1) {
+      values.push(String.fromCharCode(code));
+    }
+    return values;
+  }
+
+  return null;
+}
+
+/**
+ * Expand `{a,b}` alternatives and `{1..3}` sequences into separate patterns
+ */
+export function expandBraces(pattern) {
+  for (let open = 0; open < pattern.length; open += 1) {
+    if (pattern[open] === '\\') {
+      open += 1;
+      continue;
+    }
+    if (pattern[open] !== '{') continue;
+
+    const close = findClosingBrace(pattern, open);
+    if (close === -1) return [pattern];
+
+    const body = pattern.slice(open + 1, close);
+    const alternatives = splitAlternatives(body);
+    const options = alternatives.length > 1 ? alternatives : expandSequence(body);
+    // "{a}" without a comma or range is literal
+    if (!options) continue;
+
+    const prefix = pattern.slice(0, open);
+    const suffixes = expandBraces(pattern.slice(close + 1));
+    return options.flatMap(option => expandBraces(`${prefix}${option}`)
+      .flatMap(head => suffixes.map(suffix => `${head}${suffix}`)));
+  }
+  return [pattern];
+}
+
+function translateClass(segment, start) {
+  let index = start + 1;
+  let negated = false;
+  if (segment[index] === '!' || segment[index] === '^') {
+    negated = true;
+    index += 1;
+  }
+
+  let body = '';
+  let first = true;
+  while (index < segment.length && (segment[index] !== ']' || first)) {
+    const posix = segment.slice(index).match(/^\[:([a-z]+):\]/);
+    if (posix && POSIX_CLASSES[posix[1]]) {
+      body += POSIX_CLASSES[posix[1]];
+      index += posix[0].length;
+    } else if (segment[index] === '\\' && index + 1 < segment.length) {
+      body += `\\${segment[index + 1]}`;
+      index += 2;
+    } else {
+      body += /[\\\]^[]/.test(segment[index]) ? `\\${segment[index]}` : segment[index];
+      index += 1;
+    }
+    first = false;
+  }
+
+  if (index >= segment.length) return null;
+  // Classes never match the path separator
+  return { source: negated ? `[^/${body}]` : `[${body}]`, end: index };
+}
+
+function translateSegment(segment, dot) {
+  let source = '';
+
+  for (let index = 0; index < segment.length; index += 1) {
+    const char = segment[index];
+    if (char === '*') {
+      while (segment[index + 1] === '*') index += 1;
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const range = translateClass(segment, index);
+      if (range) {
+        source += range.source;
+        index = range.end;
+      } else {
+        source += '\\[';
+      }
+    } else if (char === '\\' && index + 1 < segment.length) {
+      index += 1;
+      source += escapeRegExp(segment[index]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // Wildcards never match "." or "..", and only match dotfiles with `dot`
+  if (/^(?:[*?[])/.test(segment)) {
+    source = `${dot ? '(?!\\.\\.?(?:/|$))' : '(?!\\.)'}${source}`;
+  }
+  return source;
+}
+
+function translatePattern(pattern, dot) {
+  const segments = pattern.replace(/^(?:\.\/)+/, '').split('/')
+    .filter((segment, index, all) => !(segment === '**' && all[index - 1] === '**'));
+  const anySegment = dot ? '(?!\\.\\.?(?:/|$))[^/]+' : '(?!\\.)[^/]+';
+
+  return segments.map((segment, index) => {
+    const last = index === segments.length - 1;
+    if (segment === '**') {
+      return last ? `(?:${anySegment}/)*(?:${anySegment})?` : `(?:${anySegment}/)*`;
+    }
+    return `${translateSegment(segment, dot)}${last ? '' : '/'}`;
+  }).join('');
+}
+
+function parseNegation(pattern) {
+  let index = 0;
+  while (pattern[index] === '!') index += 1;
+  return { negated: index % 2 === 1, pattern: pattern.slice(index) };
+}
+
+/**
+ * Compile a glob pattern (without `!` negation) into a regular expression
+ * matching posix paths
+ */
+export function globToRegExp(pattern, { dot = false } = {}) {
+  const key = `${dot}:${pattern}`;
+  if (!regexCache.has(key)) {
+    const alternatives = expandBraces(pattern).map(expanded => translatePattern(expanded, dot));
+    regexCache.set(key, new RegExp(`^(?:${alternatives.join('|')})$`));
+  }
+  return regexCache.get(key);
+}
+
+/**
+ * Check a path against a single pattern; a leading `!` inverts the result
+ */
+export function matchesGlob(file, pattern, { dot = false } = {}) {
+  const target = file.replace(/\\/g, '/');
+  const { negated, pattern: body } = parseNegation(pattern);
+  return globToRegExp(body, { dot }).test(target) !== negated;
+}
+
+/**
+ * Split a pattern list into positive patterns and the `!` patterns that
+ * exclude from them
+ */
+export function partitionPatterns(patterns) {
+  const include = [];
+  const exclude = [];
+  for (const raw of patterns) {
+    const { negated, pattern } = parseNegation(raw);
+    (negated ? exclude : include).push(pattern);
+  }
+  return { include, exclude };
+}
+
+/**
+ * Build a predicate for a pattern list: a path matches when any positive
+ * pattern matches and no `!` pattern does. `!` patterns behave like glob's
+ * `ignore` option, which is where discovery passes them.
+ */
+export function createGlobMatcher(patterns, { dot = false } = {}) {
+  const { include, exclude } = partitionPatterns(patterns);
+  const excluded = createGlobIgnore(exclude);
+  return file => include.some(pattern => matchesGlob(file, pattern, { dot })) && !excluded.isIgnored(file);
+}
+
+/**
+ * Mirror the `glob` package's `ignore` option: patterns always match
+ * dotfiles, and a pattern ending in `/**` excludes everything below a
+ * directory so it is not walked at all.
+ */
+export function createGlobIgnore(patterns) {
+  const normalized = patterns.flatMap(expandBraces)
+    .map(pattern => pattern.replace(/^(?:\.\/)+/, ''));
+  const children = normalized.filter(pattern => pattern.endsWith('/**'));
+  const test = (candidates, target) => candidates.some(pattern => globToRegExp(pattern, { dot: true }).test(target));
+
+  const childrenIgnored = directory => test(children, `${directory.replace(/\\/g, '/')}/`);
+
+  return {
+    childrenIgnored,
+    isIgnored(file) {
+      const target = file.replace(/\\/g, '/');
+      if (test(normalized, target) || test(normalized, `${target}/`)) return true;
+      const parts = target.split('/');
+      for (let depth = 1; depth < parts.length; depth += 1) {
+        if (childrenIgnored(parts.slice(0, depth).join('/'))) return true;
+      }
+      return false;
+    },
+  };
+}
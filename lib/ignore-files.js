@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { globToRegExp } from './glob.js';
+
+// Read in every directory; later files take precedence over earlier ones
+export const IGNORE_FILE_NAMES = ['.gitignore', '.commandverifyignore'];
+
+// Braces are literal in ignore files, unlike in the globs lib/glob.js compiles
+function escapeBraces(pattern) {
+  return pattern.replace(/\\.|[{}]/g, match => (match.length === 2 ? match : `\\${match}`));
+}
+
+/**
+ * Compile one line of an ignore file into a rule, or null for blank lines
+ * and comments
+ */
+export function compileIgnoreRule(line) {
+  // Trailing spaces are dropped unless escaped with a backslash
+  let pattern = line.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1');
+  if (!pattern || pattern.startsWith('#')) return null;
+
+  let negated = false;
+  if (pattern.startsWith('!')) {
+    negated = true;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (pattern.endsWith('/')) {
+    directoryOnly = true;
+    pattern = pattern.slice(0, -1);
+  }
+
+  // A slash anywhere but the end anchors the pattern to the ignore file's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+  if (!pattern) return null;
+
+  return {
+    negated,
+    directoryOnly,
+    // Wildcards match dotfiles; unanchored patterns match at any depth
+    regex: globToRegExp(`${anchored ? '' : '**/'}${escapeBraces(pattern)}`, { dot: true }),
+  };
+}
+
+/**
+ * Parse the content of a .gitignore-style file
+ */
+export function parseIgnoreFile(content) {
+  return String(content ?? '').split('\n').map(compileIgnoreRule).filter(Boolean);
+}
+
+async function readRules(file) {
+  try {
+    return parseIgnoreFile(await fs.readFile(file, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Build a matcher that applies .gitignore, .git/info/exclude and
+ * .commandverifyignore files the way git does: rules in deeper directories
+ * win, the last matching rule wins and `!` re-includes a path unless one of
+ * its parent directories is excluded. Ignore files are read lazily.
+ */
+export function createIgnoreMatcher(root, { fileNames = IGNORE_FILE_NAMES } = {}) {
+  const rulesByDirectory = new Map();
+  const directoryVerdicts = new Map();
+
+  function loadRules(directory) {
+    if (!rulesByDirectory.has(directory)) {
+      const absolute = path.join(root, directory);
+      const files = fileNames.map(name => path.join(absolute, name));
+      if (directory === '') {
+        files.unshift(path.join(root, '.git', 'info', 'exclude'));
+      }
+      rulesByDirectory.set(directory, Promise.all(files.map(readRules)).then(lists => lists.flat()));
+    }
+    return rulesByDirectory.get(directory);
+  }
+
+  async function matchPath(parts, isDirectory) {
+    let ignored = false;
+    for (let depth = 0; depth < parts.length; depth += 1) {
+      const rules = await loadRules(parts.slice(0, depth).join('/'));
+      const relative = parts.slice(depth).join('/');
+      for (const rule of rules) {
+        if (rule.directoryOnly && !isDirectory) continue;
+        if (rule.regex.test(relative)) {
+          ignored = !rule.negated;
+        }
+      }
+    }
+    return ignored;
+  }
+
+  async function isDirectoryIgnored(parts) {
+    const key = parts.join('/');
+    if (!directoryVerdicts.has(key)) {
+      directoryVerdicts.set(key, (async() => {
+        if (parts.length > 1 && await isDirectoryIgnored(parts.slice(0, -1))) return true;
+        return matchPath(parts, true);
+      })());
+    }
+    return directoryVerdicts.get(key);
+  }
+
+  return {
+    async isIgnored(relativePath, { isDirectory = false } = {}) {
+      const parts = relativePath.split(/[\\/]/).filter(Boolean);
+      if (parts.length === 0) return false;
+      if (isDirectory) return isDirectoryIgnored(parts);
+      // git never re-includes a file inside an excluded directory
+      if (parts.length > 1 && await isDirectoryIgnored(parts.slice(0, -1))) return true;
+      return matchPath(parts, false);
+    },
+  };
+}
@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { escapeRegExp } from './glob.js';
+import { splitShellWords } from './shell-parser.js';
+import { formatDidYouMean } from './suggestions.js';
+import { createWorkingDirectoryResolver } from './working-directory.js';
+
+const MAKE_COMMANDS = new Set(['make', 'gmake']);
+
+// GNU make's lookup order when no -f option is given
+const MAKEFILE_NAMES = ['GNUmakefile', 'makefile', 'Makefile'];
+
+const DIRECTORY_OPTIONS = new Set(['-C', '--directory']);
+const FILE_OPTIONS = new Set(['-f', '--file', '--makefile']);
+// Options whose value is a separate word and must not be read as a target
+const VALUE_OPTIONS = new Set(['-I', '--include-dir', '-o', '--old-file', '--assume-old', '-W', '--what-if', '--new-file', '--assume-new']);
+// Options with an optional numeric value, as in "make -j 4 build"
+const NUMERIC_OPTIONS = new Set(['-j', '--jobs', '-l', '--load-average', '--max-load']);
+
+const RULE_PATTERN = /^([^:=#\t][^:=#]*?)\s*::?(?![:=])/;
+const INCLUDE_PATTERN = /^\s*(?:-|s)?include\s+(.+)$/;
+const MAX_INCLUDE_DEPTH = 10;
+
+/**
+ * Parse a simple command into the make targets it requests, if any
+ */
+export function parseMakeInvocation(segment) {
+  const [command, ...words] = splitShellWords(segment);
+  if (!MAKE_COMMANDS.has(command)) return null;
+
+  const invocation = { targets: [], directory: null, makefile: null };
+
+  for (let index = 0; index < words.length; index += 1) {
+    const word = words[index];
+
+    if (!word.startsWith('-')) {
+      // VAR=value overrides are not targets
+      if (!word.includes('=')) invocation.targets.push(word);
+      continue;
+    }
+
+    const separator = word.indexOf('=');
+    const flag = separator === -1 ? word : word.slice(0, separator);
+    if (NUMERIC_OPTIONS.has(word) && /^\d+(\.\d+)?$/.test(words[index + 1] ?? '')) {
+      index += 1;
+      continue;
+    }
+
+    const shortValue = /^-[CfI]./.test(word) ? word.slice(2) : undefined;
+    const isDirectory = DIRECTORY_OPTIONS.has(flag) || word.startsWith('-C');
+    const isFile = FILE_OPTIONS.has(flag) || word.startsWith('-f');
+
+    if (!isDirectory && !isFile && !VALUE_OPTIONS.has(flag)) continue;
+
+    let value = shortValue ?? (separator === -1 ? undefined : word.slice(separator + 1));
+    if (value === undefined) {
+      value = words[index + 1];
+      index += 1;
+    }
+
+    if (isDirectory) {
+      invocation.directory = invocation.directory && value ? path.join(invocation.directory, value) : value ?? null;
+    } else if (isFile) {
+      invocation.makefile = value ?? null;
+    }
+  }
+
+  // Placeholders such as "make <target>" cannot be checked
+  if (invocation.targets.some(target => /[$<>{}*]/.test(target))) return null;
+
+  return invocation;
+}
+
+function joinContinuations(content) {
+  return content.replace(/\r\n/g, '\n').replace(/\\\n/g, ' ').split('\n');
+}
+
+function stripComment(line) {
+  const index = line.search(/(^|[^\\])#/);
+  if (index === -1) return line;
+  return line.slice(0, line[index] === '#' ? index : index + 1);
+}
+
+/**
+ * Extract the targets declared in Makefile source. Pattern rules are returned
+ * separately and `dynamic` is set when a target name depends on a variable.
+ */
+export function parseMakefile(content) {
+  const parsed = { targets: new Set(), patterns: [], includes: [], dynamic: false };
+  let inDefine = false;
+
+  for (const rawLine of joinContinuations(content)) {
+    // Recipe lines belong to the preceding rule
+    if (rawLine.startsWith('\t')) continue;
+
+    const line = stripComment(rawLine).trim();
+    if (!line) continue;
+
+    if (/^define\b/.test(line)) {
+      inDefine = true;
+      continue;
+    }
+    if (inDefine) {
+      if (/^endef\b/.test(line)) inDefine = false;
+      continue;
+    }
+
+    const include = line.match(INCLUDE_PATTERN);
+    if (include) {
+      parsed.includes.push(...include[1].split(/\s+/).filter(Boolean));
+      continue;
+    }
+
+    const rule = line.match(RULE_PATTERN);
+    if (!rule) continue;
+
+    const names = rule[1].trim().split(/\s+/);
+    const isPhony = names.length === 1 && names[0] === '.PHONY';
+    // Prerequisites of .PHONY are declared targets even without a rule
+    const declared = isPhony ? line.slice(rule[0].length).split(';')[0].trim().split(/\s+/) : names;
+
+    for (const name of declared.filter(Boolean)) {
+      if (name.includes('$')) {
+        parsed.dynamic = true;
+      } else if (name.includes('%')) {
+        parsed.patterns.push(name);
+      } else if (isPhony || !/^\.[A-Z_]+$/.test(name)) {
+        parsed.targets.add(name);
+      }
+    }
+  }
+
+  return parsed;
+}
+
+function patternToRegex(pattern) {
+  const [prefix, ...rest] = pattern.split('%');
+  return new RegExp(`^${escapeRegExp(prefix)}.+${escapeRegExp(rest.join('%'))}$`);
+}
+
+async function readFileOrNull(file) {
+  try {
+    return await fs.readFile(file, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build a validator that checks documented `make <target>` invocations
+ * against the Makefile (and its includes) that make would pick up.
+ */
+export function createMakeTargetValidator(config) {
+  const rootDir = config.cwd;
+  const resolveSegments = createWorkingDirectoryResolver(rootDir);
+  const makefileCache = new Map();
+
+  async function loadMakefile(file, makeDir, depth = 0, seen = new Set()) {
+    const merged = { targets: new Set(), patterns: [], dynamic: false };
+    if (seen.has(file) || depth > MAX_INCLUDE_DEPTH) return merged;
+    seen.add(file);
+
+    const content = await readFileOrNull(file);
+    if (content === null) return null;
+
+    const parsed = parseMakefile(content);
+    parsed.targets.forEach(target => merged.targets.add(target));
+    merged.patterns.push(...parsed.patterns);
+    merged.dynamic = parsed.dynamic;
+
+    for (const include of parsed.includes) {
+      // Computed or wildcard includes cannot be resolved statically
+      if (/[$*?[]/.test(include)) {
+        merged.dynamic = true;
+        continue;
+      }
+      // make resolves includes against its working directory
+      const included = await loadMakefile(path.resolve(makeDir, include), makeDir, depth + 1, seen);
+      if (!included) continue;
+      included.targets.forEach(target => merged.targets.add(target));
+      merged.patterns.push(...included.patterns);
+      merged.dynamic = merged.dynamic || included.dynamic;
+    }
+
+    return merged;
+  }
+
+  // Like make itself, only the working directory (or -C/-f) is searched
+  async function findMakefile(cwd, invocation) {
+    const makeDir = path.resolve(cwd, invocation.directory ?? '.');
+    const names = invocation.makefile ? [invocation.makefile] : MAKEFILE_NAMES;
+    for (const name of names) {
+      const file = path.resolve(makeDir, name);
+      if (await pathExists(file)) return { file, makeDir };
+    }
+    return null;
+  }
+
+  async function readTargets(found) {
+    if (!makefileCache.has(found.file)) {
+      makefileCache.set(found.file, loadMakefile(found.file, found.makeDir));
+    }
+    return makefileCache.get(found.file);
+  }
+
+  async function checkTarget(target, found, makefile) {
+    if (makefile.targets.has(target)) return null;
+    if (makefile.patterns.some(pattern => patternToRegex(pattern).test(target))) return null;
+    // Existing files are up to date (or built by make's implicit rules)
+    if (await pathExists(path.resolve(found.makeDir, target))) return null;
+
+    const makefileName = path.relative(rootDir, found.file).split(path.sep).join('/');
+    const didYouMean = formatDidYouMean(target, [...makefile.targets]);
+
+    return {
+      rule: 'missing-make-target',
+      // Targets built from variables may still exist at run time
+      severity: makefile.dynamic ? 'warning' : 'error',
+      message: `Make target "${target}" is not defined in ${makefileName}.`,
+      suggestion: didYouMean ?? 'Check the target name against the Makefile rules and .PHONY list.',
+    };
+  }
+
+  async function checkInvocation(invocation, cwd) {
+    const found = await findMakefile(cwd, invocation);
+    if (!found) {
+      return [{
+        rule: 'missing-make-target',
+        severity: 'warning',
+        message: invocation.makefile
+          ? `Makefile "${invocation.makefile}" does not exist.`
+          : 'No Makefile found to resolve the make command.',
+        suggestion: 'Document where the command must be run or add the Makefile it relies on.',
+      }];
+    }
+
+    const makefile = await readTargets(found);
+    if (!makefile) return [];
+
+    const issues = [];
+    for (const target of invocation.targets) {
+      const issue = await checkTarget(target, found, makefile);
+      if (issue) issues.push(issue);
+    }
+    return issues;
+  }
+
+  return async function validateMakeTargets(commandEntry) {
+    const issues = [];
+    for (const location of commandEntry.locations ?? []) {
+      for (const { segment, cwd } of await resolveSegments(commandEntry.command, location)) {
+        const invocation = parseMakeInvocation(segment);
+        // make runs after a cd into an unknown directory cannot be resolved
+        if (!invocation || !cwd) continue;
+        for (const issue of await checkInvocation(invocation, cwd)) {
+          issues.push({ ...issue, location });
+        }
+      }
+    }
+    return issues;
+  };
+}
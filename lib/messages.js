@@ -12,12 +12,37 @@ const INSTALL_HINTS = {
   docker: 'Install Docker Desktop or the Docker CLI and ensure the daemon is running before running this command.',
 };
 
+export const SEVERITY_LEVELS = ['info', 'warning', 'error'];
+
+/**
+ * Check whether a severity is at or above the given threshold
+ */
+export function meetsSeverityThreshold(severity, threshold) {
+  const rank = SEVERITY_LEVELS.indexOf(severity);
+  const limit = SEVERITY_LEVELS.indexOf(threshold);
+  if (rank === -1 || limit === -1) return false;
+  return rank >= limit;
+}
+
+/**
+ * Pick the item with the highest severity, or null for an empty list
+ */
+export function pickMostSevere(items = []) {
+  let worst = null;
+  for (const item of items) {
+    if (!worst || SEVERITY_LEVELS.indexOf(item.severity) > SEVERITY_LEVELS.indexOf(worst.severity)) {
+      worst = item;
+    }
+  }
+  return worst;
+}
+
 function getCommandName(command) {
   if (!command) return '';
   return command.trim().split(/\s+/)[0];
 }
 
-function buildLocationPrefix(locations = []) {
+export function buildLocationPrefix(locations = []) {
   if (!locations || locations.length === 0) return '';
   const { file, line } = locations[0];
   if (file && line) return `${file}:${line}: `;
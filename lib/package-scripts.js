@@ -0,0 +1,355 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { splitShellWords } from './shell-parser.js';
+import { formatDidYouMean } from './suggestions.js';
+import { createWorkingDirectoryResolver, isInside } from './working-directory.js';
+
+const PACKAGE_MANAGERS = new Set(['npm', 'yarn', 'pnpm', 'bun']);
+
+const RUN_SUBCOMMANDS = new Set(['run', 'run-script', 'rum', 'urn']);
+
+const LIFECYCLE_ALIASES = {
+  test: 'test',
+  t: 'test',
+  tst: 'test',
+  start: 'start',
+};
+
+// Subcommands that are never resolved against package.json scripts
+const YARN_BUILTINS = new Set([
+  'add', 'audit', 'autoclean', 'bin', 'cache', 'check', 'config', 'constraints', 'create', 'dedupe',
+  'dlx', 'exec', 'explain', 'generate-lock-entry', 'global', 'help', 'import', 'info', 'init',
+  'install', 'licenses', 'link', 'list', 'login', 'logout', 'node', 'npm', 'outdated', 'owner',
+  'pack', 'patch', 'patch-commit', 'plugin', 'policies', 'publish', 'rebuild', 'remove', 'run',
+  'search', 'set', 'stage', 'tag', 'team', 'unlink', 'unplug', 'upgrade', 'upgrade-interactive',
+  'up', 'version', 'versions', 'why', 'workspace', 'workspaces',
+]);
+
+const PNPM_BUILTINS = new Set([
+  'add', 'audit', 'bin', 'config', 'create', 'dedupe', 'deploy', 'dlx', 'doctor', 'env', 'exec',
+  'fetch', 'help', 'i', 'import', 'init', 'install', 'install-test', 'it', 'licenses', 'link', 'list',
+  'ln', 'ls', 'outdated', 'pack', 'patch', 'patch-commit', 'prune', 'publish', 'rb', 'rebuild',
+  'remove', 'rm', 'root', 'server', 'setup', 'store', 'un', 'uninstall', 'unlink', 'up', 'update',
+  'upgrade', 'why',
+]);
+
+const WORKSPACE_OPTIONS = new Set(['-w', '--workspace', '-F', '--filter']);
+const DIRECTORY_OPTIONS = new Set(['--prefix', '--cwd', '-C', '--dir']);
+// Invocations that run across several packages or tolerate missing scripts
+const UNCHECKABLE_OPTIONS = new Set(['--workspaces', '-ws', '-r', '--recursive', '--if-present']);
+
+function readOptions(manager, words) {
+  const options = { workspace: null, workspaceRoot: false, directory: null, positional: [], uncheckable: false };
+
+  for (let index = 0; index < words.length; index += 1) {
+    const word = words[index];
+    if (word === '--') break;
+
+    if (!word.startsWith('-') || word === '-') {
+      options.positional.push(word);
+      continue;
+    }
+
+    const separator = word.indexOf('=');
+    const flag = separator === -1 ? word : word.slice(0, separator);
+
+    // pnpm uses -w for --workspace-root rather than a workspace name
+    if (manager === 'pnpm' && (flag === '-w' || flag === '--workspace-root')) {
+      options.workspaceRoot = true;
+      continue;
+    }
+
+    if (UNCHECKABLE_OPTIONS.has(flag)) {
+      options.uncheckable = true;
+      continue;
+    }
+
+    if (!WORKSPACE_OPTIONS.has(flag) && !DIRECTORY_OPTIONS.has(flag)) continue;
+
+    let value = separator === -1 ? undefined : word.slice(separator + 1);
+    if (value === undefined) {
+      value = words[index + 1];
+      index += 1;
+    }
+
+    if (WORKSPACE_OPTIONS.has(flag)) {
+      options.workspace = value ?? null;
+    } else {
+      options.directory = value ?? null;
+    }
+  }
+
+  return options;
+}
+
+function resolveScriptName(manager, positional) {
+  const [first, second] = positional;
+  if (!first) return null;
+
+  if (RUN_SUBCOMMANDS.has(first)) return second ?? null;
+
+  if (manager === 'npm' || manager === 'pnpm') {
+    if (LIFECYCLE_ALIASES[first]) return LIFECYCLE_ALIASES[first];
+    if (manager === 'npm' || PNPM_BUILTINS.has(first)) return null;
+    return first;
+  }
+
+  if (manager === 'yarn') {
+    return YARN_BUILTINS.has(first) ? null : first;
+  }
+
+  // bun only resolves package scripts through "bun run"
+  return null;
+}
+
+/**
+ * Parse a simple command into the package script it invokes, if any
+ */
+export function parseScriptInvocation(segment) {
+  const words = splitShellWords(segment);
+  const [manager, ...rest] = words;
+  if (!PACKAGE_MANAGERS.has(manager)) return null;
+
+  const options = readOptions(manager, rest);
+  if (options.uncheckable) return null;
+
+  let positional = options.positional;
+  let workspace = options.workspace;
+  if (manager === 'yarn' && positional[0] === 'workspace') {
+    workspace = positional[1] ?? null;
+    positional = positional.slice(2);
+  }
+
+  const script = resolveScriptName(manager, positional);
+  if (!script || /[$<>{}*]/.test(script)) return null;
+
+  // "bun run ./file.ts" and friends execute files rather than scripts
+  if (manager === 'bun' && (script.includes('/') || /\.[cm]?[jt]sx?$/.test(script))) return null;
+
+  return {
+    manager,
+    script,
+    workspace,
+    workspaceRoot: options.workspaceRoot,
+    directory: options.directory,
+  };
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readWorkspacePatterns(pkg) {
+  if (Array.isArray(pkg?.workspaces)) return pkg.workspaces;
+  if (Array.isArray(pkg?.workspaces?.packages)) return pkg.workspaces.packages;
+  return [];
+}
+
+function parsePnpmWorkspace(raw) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of raw.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (inPackages) {
+      const item = line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+      if (item) {
+        patterns.push(item[1]);
+      } else if (/^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+  }
+  return patterns;
+}
+
+async function listDirectories(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+      .map(entry => path.join(dir, entry.name));
+  } catch {
+    return [];
+  }
+}
+
+async function expandWorkspacePattern(rootDir, pattern) {
+  const normalised = pattern.replace(/\\/g, '/').replace(/\/+$/, '');
+  if (normalised.endsWith('/**')) {
+    const base = path.join(rootDir, normalised.slice(0, -3));
+    const found = [];
+    const queue = [base];
+    while (queue.length > 0) {
+      const dir = queue.shift();
+      const children = await listDirectories(dir);
+      found.push(...children);
+      queue.push(...children);
+    }
+    return found;
+  }
+  if (normalised.endsWith('/*')) {
+    return listDirectories(path.join(rootDir, normalised.slice(0, -2)));
+  }
+  return [path.join(rootDir, normalised)];
+}
+
+/**
+ * Build a validator that checks documented package-manager script
+ * invocations against the package.json nearest to the directory the command
+ * runs in. Results of file reads are shared for the lifetime of the validator
+ * (one verification run).
+ */
+export function createPackageScriptValidator(config) {
+  const rootDir = config.cwd;
+  const resolveSegments = createWorkingDirectoryResolver(rootDir);
+  const packageCache = new Map();
+  const workspaceCache = new Map();
+
+  async function readPackage(dir) {
+    if (!packageCache.has(dir)) {
+      packageCache.set(dir, fs.readFile(path.join(dir, 'package.json'), 'utf-8')
+        .then(raw => JSON.parse(raw))
+        .catch(() => null));
+    }
+    return packageCache.get(dir);
+  }
+
+  async function findNearestPackage(startDir) {
+    let dir = startDir;
+    const boundary = isInside(startDir, rootDir) ? rootDir : path.parse(startDir).root;
+    for (;;) {
+      const pkg = await readPackage(dir);
+      if (pkg) return { dir, pkg };
+      if (dir === boundary || path.dirname(dir) === dir) return null;
+      dir = path.dirname(dir);
+    }
+  }
+
+  async function listWorkspaces(workspaceRoot, rootPkg) {
+    if (!workspaceCache.has(workspaceRoot)) {
+      workspaceCache.set(workspaceRoot, (async() => {
+        const patterns = [...readWorkspacePatterns(rootPkg)];
+        try {
+          const raw = await fs.readFile(path.join(workspaceRoot, 'pnpm-workspace.yaml'), 'utf-8');
+          patterns.push(...parsePnpmWorkspace(raw));
+        } catch {
+          // Not a pnpm workspace
+        }
+
+        const packages = [];
+        for (const pattern of patterns.filter(item => !item.startsWith('!'))) {
+          for (const dir of await expandWorkspacePattern(workspaceRoot, pattern)) {
+            const pkg = await readPackage(dir);
+            if (pkg) packages.push({ dir, pkg });
+          }
+        }
+        return packages;
+      })());
+    }
+    return workspaceCache.get(workspaceRoot);
+  }
+
+  async function findWorkspaceRoot(startDir) {
+    let nearest = await findNearestPackage(startDir);
+    while (nearest) {
+      const hasPnpmWorkspace = await pathExists(path.join(nearest.dir, 'pnpm-workspace.yaml'));
+      if (readWorkspacePatterns(nearest.pkg).length > 0 || hasPnpmWorkspace) return nearest;
+      if (nearest.dir === rootDir || path.dirname(nearest.dir) === nearest.dir) break;
+      nearest = await findNearestPackage(path.dirname(nearest.dir));
+    }
+    const rootPkg = await readPackage(rootDir);
+    return rootPkg ? { dir: rootDir, pkg: rootPkg } : null;
+  }
+
+  async function resolveTarget(invocation, startDir) {
+    const baseDir = invocation.directory ? path.resolve(startDir, invocation.directory) : startDir;
+
+    if (invocation.workspaceRoot) {
+      return { target: await findWorkspaceRoot(baseDir) };
+    }
+
+    if (!invocation.workspace) {
+      return { target: await findNearestPackage(baseDir) };
+    }
+
+    const workspaceRoot = await findWorkspaceRoot(baseDir);
+    if (!workspaceRoot) return { target: null };
+
+    const workspaces = await listWorkspaces(workspaceRoot.dir, workspaceRoot.pkg);
+    const requestedDir = path.resolve(workspaceRoot.dir, invocation.workspace);
+    const target = workspaces.find(({ dir, pkg }) => pkg.name === invocation.workspace || dir === requestedDir);
+    if (target) return { target };
+
+    const names = workspaces.map(({ pkg, dir }) => pkg.name ?? path.relative(workspaceRoot.dir, dir));
+    return { target: null, missingWorkspace: names };
+  }
+
+  async function checkInvocation(invocation, startDir) {
+    const label = `${invocation.manager} script "${invocation.script}"`;
+    const { target, missingWorkspace } = await resolveTarget(invocation, startDir);
+
+    if (missingWorkspace) {
+      return {
+        rule: 'missing-script',
+        severity: 'error',
+        message: `Workspace "${invocation.workspace}" for ${label} does not exist.`,
+        suggestion: formatDidYouMean(invocation.workspace, missingWorkspace)
+          ?? 'Check the workspace name against the "workspaces" field in package.json.',
+      };
+    }
+
+    if (!target) {
+      return {
+        rule: 'missing-script',
+        severity: 'warning',
+        message: `No package.json found to resolve ${label}.`,
+        suggestion: 'Document where the command must be run or add the package.json it relies on.',
+      };
+    }
+
+    const scripts = target.pkg.scripts && typeof target.pkg.scripts === 'object' ? target.pkg.scripts : {};
+    if (Object.prototype.hasOwnProperty.call(scripts, invocation.script)) return null;
+
+    // npm falls back to "node server.js" when no start script is defined
+    if (invocation.script === 'start' && await pathExists(path.join(target.dir, 'server.js'))) return null;
+
+    const packageFile = path.relative(rootDir, path.join(target.dir, 'package.json')).split(path.sep).join('/');
+    const available = Object.keys(scripts);
+    const didYouMean = formatDidYouMean(invocation.script, available);
+    const listing = available.length > 0
+      ? `Available scripts: ${available.join(', ')}.`
+      : 'The package defines no scripts.';
+
+    return {
+      rule: 'missing-script',
+      severity: 'error',
+      message: `Script "${invocation.script}" is not defined in ${packageFile}.`,
+      suggestion: [didYouMean, listing].filter(Boolean).join(' '),
+    };
+  }
+
+  return async function validatePackageScripts(commandEntry) {
+    const issues = [];
+    for (const location of commandEntry.locations ?? []) {
+      for (const { segment, cwd } of await resolveSegments(commandEntry.command, location)) {
+        const invocation = parseScriptInvocation(segment);
+        // Scripts run after a cd into an unknown directory cannot be resolved
+        if (!invocation || !cwd) continue;
+        const issue = await checkInvocation(invocation, cwd);
+        if (issue) {
+          issues.push({ ...issue, location });
+        }
+      }
+    }
+    return issues;
+  };
+}
@@ -0,0 +1,176 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { splitShellWords } from './shell-parser.js';
+import { createWorkingDirectoryResolver, isCheckablePath, isInside, stripCommandPrefixes } from './working-directory.js';
+
+// Interpreters whose first operand is the script they run
+const INTERPRETERS = new Set([
+  'node', 'python', 'python3', 'bash', 'sh', 'zsh', 'ruby', 'perl', 'php', 'tsx', 'ts-node', 'deno', 'bun', 'pwsh',
+]);
+
+// Options after which an interpreter runs inline code or a module, not a file
+const INLINE_OPTIONS = new Set(['-e', '--eval', '-p', '--print', '-c', '-m', '--command']);
+const INTERPRETER_VALUE_OPTIONS = new Set(['-r', '--require', '--import', '--loader', '--experimental-loader', '-W', '-X']);
+
+// Commands that take files as operands, with the options that consume the next word
+const FILE_READERS = new Map([
+  ['cat', new Set()],
+  ['source', new Set()],
+  ['.', new Set()],
+  ['less', new Set(['-b', '-h', '-j', '-k', '-o', '-O', '-p', '-P', '-t', '-T', '-x', '-y', '-z', '--pattern', '--tag'])],
+  ['more', new Set(['-n'])],
+  ['head', new Set(['-n', '-c', '--lines', '--bytes'])],
+  ['tail', new Set(['-n', '-c', '-s', '--lines', '--bytes', '--pid', '--sleep-interval', '--max-unchanged-stats'])],
+]);
+// Commands whose last operand is a destination that may not exist yet
+const FILE_COPIERS = new Set(['cp', 'mv']);
+
+function looksLikeFile(operand) {
+  return operand.includes('/') || /\.[a-z0-9]+$/i.test(operand);
+}
+
+function collectOperands(args, valueOptions = new Set()) {
+  const operands = [];
+  for (let index = 0; index < args.length; index += 1) {
+    const word = args[index];
+    if (valueOptions.has(word)) {
+      index += 1;
+    } else if (!word.startsWith('-')) {
+      operands.push(word);
+    }
+  }
+  return operands;
+}
+
+function findScriptOperand(name, args) {
+  // "deno run x.ts" and "bun run x.ts" name the subcommand first
+  const operands = (name === 'deno' || name === 'bun') && args[0] === 'run' ? args.slice(1) : args;
+
+  for (let index = 0; index < operands.length; index += 1) {
+    const word = operands[index];
+    if (INLINE_OPTIONS.has(word)) return null;
+    if (INTERPRETER_VALUE_OPTIONS.has(word)) {
+      index += 1;
+      continue;
+    }
+    if (word.startsWith('-')) continue;
+    return looksLikeFile(word) ? word : null;
+  }
+  return null;
+}
+
+/**
+ * List the file references in a simple command. Directly invoked scripts are
+ * marked `executable` because they also need the exec bit.
+ */
+export function findPathReferences(segment) {
+  const words = stripCommandPrefixes(splitShellWords(segment));
+  const [name, ...args] = words;
+  if (!name) return [];
+
+  if (name === 'cd' || name === 'pushd') {
+    return isCheckablePath(args[0]) ? [{ path: args[0], kind: 'directory' }] : [];
+  }
+
+  if (name.includes('/')) {
+    return isCheckablePath(name) ? [{ path: name, kind: 'file', executable: true }] : [];
+  }
+
+  let candidates = [];
+
+  if (INTERPRETERS.has(name)) {
+    const script = findScriptOperand(name, args);
+    candidates = script ? [script] : [];
+  } else if (FILE_READERS.has(name)) {
+    candidates = collectOperands(args, FILE_READERS.get(name));
+  } else if (FILE_COPIERS.has(name)) {
+    candidates = collectOperands(args).slice(0, -1);
+  }
+
+  return candidates.filter(isCheckablePath).map(operand => ({ path: operand, kind: 'file' }));
+}
+
+/**
+ * Build a validator that checks files, scripts and directories referenced by
+ * documented commands. Paths resolve against the repository root, or the
+ * directory a preceding `cd` in the same code block moved to.
+ */
+export function createPathReferenceValidator(config) {
+  const rootDir = config.cwd;
+  const resolveSegments = createWorkingDirectoryResolver(rootDir);
+  const statCache = new Map();
+
+  async function statPath(target) {
+    if (!statCache.has(target)) {
+      statCache.set(target, fs.stat(target).then(stats => stats ?? null, () => null));
+    }
+    return statCache.get(target);
+  }
+
+  function display(target) {
+    return path.relative(rootDir, target).split(path.sep).join('/') || '.';
+  }
+
+  async function describeMissing(reference, resolved) {
+    const parent = await statPath(path.dirname(resolved));
+    // A missing parent directory usually means build output created by an earlier step
+    const generated = !parent?.isDirectory?.();
+    const what = reference.kind === 'directory' ? 'Directory' : 'Path';
+
+    return {
+      rule: 'missing-path',
+      severity: generated ? 'warning' : 'error',
+      message: `${what} "${display(resolved)}" does not exist.`,
+      suggestion: generated
+        ? 'Its parent directory is missing too; if a previous step generates it, document that step before this command.'
+        : 'Check for a renamed or deleted file and update the documentation.',
+    };
+  }
+
+  async function checkReference(reference, baseDir) {
+    const resolved = path.resolve(baseDir, reference.path);
+    if (!isInside(resolved, rootDir)) return null;
+
+    const stats = await statPath(resolved);
+    if (!stats) return describeMissing(reference, resolved);
+
+    if (reference.kind === 'directory' && !stats.isDirectory?.()) {
+      return {
+        rule: 'missing-path',
+        severity: 'error',
+        message: `"${display(resolved)}" is not a directory.`,
+        suggestion: 'Point the cd command at the directory containing the file.',
+      };
+    }
+
+    // Windows checkouts do not carry the exec bit
+    if (reference.executable && process.platform !== 'win32' && stats.isFile?.() && (stats.mode & 0o111) === 0) {
+      return {
+        rule: 'not-executable',
+        severity: 'error',
+        message: `Script "${display(resolved)}" is not executable.`,
+        suggestion: `Run: git update-index --chmod=+x ${display(resolved)} (or invoke it through its interpreter).`,
+      };
+    }
+
+    return null;
+  }
+
+  return async function validatePathReferences(commandEntry) {
+    const issues = [];
+
+    for (const location of commandEntry.locations ?? []) {
+      // Segments in unknown directories are skipped; a missing cd target is reported on the cd itself
+      for (const { segment, cwd } of await resolveSegments(commandEntry.command, location)) {
+        if (!cwd) continue;
+        for (const reference of findPathReferences(segment)) {
+          const issue = await checkReference(reference, cwd);
+          if (issue) issues.push({ ...issue, location });
+        }
+      }
+    }
+
+    return issues;
+  };
+}
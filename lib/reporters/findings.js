@@ -0,0 +1,130 @@
+import { buildValidationMessage, meetsSeverityThreshold, pickMostSevere } from '../messages.js';
+
+export const FINDING_RULES = {
+  dangerous: {
+    name: 'DangerousCommand',
+    description: 'Documented command is flagged as dangerous and must not be auto-run.',
+  },
+  unavailable: {
+    name: 'UnavailableCommand',
+    description: 'Documented command is not available on the verification system.',
+  },
+  unknown: {
+    name: 'UnknownCommand',
+    description: 'Documented command does not match any known command pattern.',
+  },
+  conditional: {
+    name: 'ConditionalCommand',
+    description: 'Documented command requires manual review before execution.',
+  },
+  'missing-script': {
+    name: 'MissingScript',
+    description: 'Documented package script is not defined in the resolved package.json.',
+  },
+  'missing-make-target': {
+    name: 'MissingMakeTarget',
+    description: 'Documented make target is not defined in the resolved Makefile.',
+  },
+  'missing-path': {
+    name: 'MissingPath',
+    description: 'Documented command references a file or directory that does not exist.',
+  },
+  'not-executable': {
+    name: 'ScriptNotExecutable',
+    description: 'Documented script is invoked directly but lacks the executable bit.',
+  },
+  'execution-failed': {
+    name: 'ExecutionFailed',
+    description: 'Documented command failed or timed out when run with --execute.',
+  },
+  'output-mismatch': {
+    name: 'OutputMismatch',
+    description: 'Documented command output does not match what the command printed.',
+  },
+};
+
+/**
+ * Derive the finding rule for a validation, or null when it needs no attention
+ */
+export function getFindingRule(validation) {
+  if (!validation || validation.category === 'skip') return null;
+  if (validation.category === 'dangerous') return 'dangerous';
+  if (!validation.available) return 'unavailable';
+  if (validation.category === 'unknown') return 'unknown';
+  if (validation.category === 'conditional') return 'conditional';
+  return null;
+}
+
+function describeCategory(result, config) {
+  const { validation } = result;
+  const described = buildValidationMessage({
+    command: result.command,
+    category: validation.category,
+    available: validation.available,
+    locations: [],
+    treatUnknownAsWarnings: config.treatUnknownAsWarnings ?? true,
+  });
+
+  return {
+    severity: described.severity,
+    message: described.message,
+    suggestion: described.suggestion || null,
+  };
+}
+
+/**
+ * Describe a result without the file:line prefix, for reporters that carry
+ * locations separately. Project issues (such as a missing package script)
+ * take over when they are at least as severe as the category verdict.
+ */
+export function describeResult(result, config = {}) {
+  const described = describeCategory(result, config);
+  const issue = pickMostSevere(result.validation.issues);
+
+  if (issue && meetsSeverityThreshold(issue.severity, described.severity)) {
+    return {
+      severity: issue.severity,
+      message: issue.message,
+      suggestion: issue.suggestion || null,
+    };
+  }
+
+  return described;
+}
+
+/**
+ * Flatten results into one finding per documented location, plus one per
+ * project issue at the location it was found
+ */
+export function collectFindings(verification) {
+  const findings = [];
+  const config = verification.config ?? {};
+
+  for (const result of verification.results) {
+    const base = {
+      command: result.command,
+      category: result.validation.category,
+    };
+
+    const ruleId = getFindingRule(result.validation);
+    if (ruleId) {
+      const description = describeCategory(result, config);
+      for (const location of result.locations ?? []) {
+        findings.push({ ruleId, ...base, ...description, location });
+      }
+    }
+
+    for (const issue of result.validation.issues ?? []) {
+      findings.push({
+        ruleId: issue.rule,
+        ...base,
+        severity: issue.severity,
+        message: issue.message,
+        suggestion: issue.suggestion || null,
+        location: issue.location,
+      });
+    }
+  }
+
+  return findings;
+}
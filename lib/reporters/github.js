@@ -0,0 +1,46 @@
+import { collectFindings } from './findings.js';
+
+const ANNOTATION_COMMANDS = {
+  error: 'error',
+  warning: 'warning',
+};
+
+function escapeData(value) {
+  return String(value ?? '')
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A');
+}
+
+function escapeProperty(value) {
+  return escapeData(value)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
+function buildProperties(finding) {
+  const { location } = finding;
+  const properties = [`file=${escapeProperty(location.file)}`];
+  if (location.line) properties.push(`line=${location.line}`);
+  if (location.endLine) properties.push(`endLine=${location.endLine}`);
+  properties.push(`title=${escapeProperty(`command-verify: ${finding.command}`)}`);
+  return properties.join(',');
+}
+
+/**
+ * Render findings as GitHub Actions workflow commands so they show up inline
+ * on the pull request diff
+ */
+export function formatGithubAnnotations(verification) {
+  const lines = [];
+
+  for (const finding of collectFindings(verification)) {
+    const command = ANNOTATION_COMMANDS[finding.severity];
+    if (!command) continue;
+
+    const message = finding.suggestion ? `${finding.message}\n${finding.suggestion}` : finding.message;
+    lines.push(`::${command} ${buildProperties(finding)}::${escapeData(message)}`);
+  }
+
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
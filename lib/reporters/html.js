@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { describeResult } from './findings.js';
+
+const CONTEXT_RADIUS = 2;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; color: #333; }
+  .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); overflow: hidden; }
+  .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 24px 30px; }
+  .header h1 { margin: 0; font-weight: 300; }
+  .header p { margin: 8px 0 0; opacity: 0.9; }
+  .content { padding: 24px 30px; }
+  .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 12px; margin-bottom: 24px; }
+  .stat { background: #f8f9fa; border-radius: 6px; padding: 12px; border-left: 4px solid #6c757d; }
+  .stat strong { display: block; font-size: 1.6em; }
+  .filters { display: flex; flex-wrap: wrap; gap: 12px; margin-bottom: 20px; }
+  .filters label { font-size: 0.9em; }
+  details.file { border: 1px solid #e1e4e8; border-radius: 6px; margin-bottom: 12px; }
+  details.file > summary { padding: 10px 14px; cursor: pointer; font-weight: 600; background: #f6f8fa; }
+  .occurrence { border-top: 1px solid #e1e4e8; padding: 10px 14px; }
+  .occurrence code { font-size: 1em; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 10px; font-size: 0.8em; margin-left: 6px; background: #e1e4e8; }
+  .badge.safe { background: #d4edda; }
+  .badge.conditional { background: #fff3cd; }
+  .badge.dangerous { background: #f8d7da; }
+  .badge.unknown { background: #e2e3f3; }
+  .badge.missing { background: #f8d7da; }
+  .message { margin: 6px 0 0; }
+  .suggestion { margin: 4px 0 0; color: #555; font-style: italic; }
+  pre.context { background: #f6f8fa; padding: 8px; overflow-x: auto; margin: 8px 0 0; font-size: 0.85em; }
+  pre.context .hit { background: #fff8c5; display: block; }
+`;
+
+const FILTER_SCRIPT = `
+  (function () {
+    var category = document.getElementById('filter-category');
+    var availability = document.getElementById('filter-availability');
+    var search = document.getElementById('filter-search');
+    function apply() {
+      var term = search.value.toLowerCase();
+      document.querySelectorAll('details.file').forEach(function (file) {
+        var visible = 0;
+        file.querySelectorAll('.occurrence').forEach(function (item) {
+          var show = (!category.value || item.dataset.category === category.value)
+            && (!availability.value || item.dataset.available === availability.value)
+            && (!term || item.dataset.command.toLowerCase().indexOf(term) !== -1);
+          item.hidden = !show;
+          if (show) visible += 1;
+        });
+        file.hidden = visible === 0;
+      });
+    }
+    [category, availability, search].forEach(function (input) {
+      input.addEventListener('input', apply);
+    });
+  })();
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+async function readMarkdownLines(file, config, cache) {
+  if (!cache.has(file)) {
+    const absolutePath = path.resolve(config?.cwd ?? process.cwd(), file);
+    const lines = fs.readFile(absolutePath, 'utf-8')
+      .then(content => content.replace(/\r\n/g, '\n').split('\n'))
+      .catch(() => null);
+    cache.set(file, lines);
+  }
+  return cache.get(file);
+}
+
+function extractContext(lines, location) {
+  if (!lines || !location.line) return [];
+  const endLine = location.endLine ?? location.line;
+  const first = Math.max(1, location.line - CONTEXT_RADIUS);
+  const last = Math.min(lines.length, endLine + CONTEXT_RADIUS);
+  const context = [];
+  for (let lineNumber = first; lineNumber <= last; lineNumber += 1) {
+    context.push({
+      lineNumber,
+      text: lines[lineNumber - 1],
+      hit: lineNumber >= location.line && lineNumber <= endLine,
+    });
+  }
+  return context;
+}
+
+async function groupOccurrencesByFile(verification) {
+  const files = new Map();
+  const lineCache = new Map();
+
+  for (const result of verification.results) {
+    const description = describeResult(result, verification.config);
+    for (const location of result.locations ?? []) {
+      const file = location.file ?? 'unknown';
+      const lines = await readMarkdownLines(file, verification.config, lineCache);
+      if (!files.has(file)) {
+        files.set(file, []);
+      }
+      files.get(file).push({
+        result,
+        location,
+        description,
+        context: extractContext(lines, location),
+      });
+    }
+  }
+
+  for (const occurrences of files.values()) {
+    occurrences.sort((a, b) => (a.location.line ?? 0) - (b.location.line ?? 0));
+  }
+
+  return new Map([...files.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function renderContext(context) {
+  if (context.length === 0) return '';
+  const width = String(context[context.length - 1].lineNumber).length;
+  const body = context
+    .map(({ lineNumber, text, hit }) => {
+      const line = `${String(lineNumber).padStart(width)}  ${escapeHtml(text)}`;
+      return hit ? `<span class="hit">${line}</span>` : `${line}\n`;
+    })
+    .join('');
+  return `<pre class="context">${body}</pre>`;
+}
+
+function renderOccurrence({ result, location, description, context }) {
+  const { validation } = result;
+  const available = validation.available ? 'available' : 'missing';
+  const lineLabel = location.endLine ? `${location.line}-${location.endLine}` : location.line;
+
+  return `
+      <div class="occurrence" data-category="${escapeHtml(validation.category)}" data-available="${available}" data-command="${escapeHtml(result.command)}">
+        <div>
+          <strong>Line ${escapeHtml(lineLabel ?? '?')}</strong>
+          <code>${escapeHtml(result.command)}</code>
+          <span class="badge ${escapeHtml(validation.category)}">${escapeHtml(validation.category)}</span>
+          <span class="badge ${available}">${validation.available ? 'available' : 'not available'}</span>
+          <span class="badge">${result.cached ? 'from cache' : 'validated this run'}</span>
+          <span class="badge">${escapeHtml(description.severity)}</span>
+        </div>
+        <p class="message">${escapeHtml(description.message)}</p>
+        ${description.suggestion ? `<p class="suggestion">${escapeHtml(description.suggestion)}</p>` : ''}
+        ${renderContext(context)}
+      </div>`;
+}
+
+function renderSummary(summary = {}) {
+  const stats = [
+    ['Commands', summary.total],
+    ['Safe', summary.safe],
+    ['Conditional', summary.conditional],
+    ['Dangerous', summary.dangerous],
+    ['Unknown', summary.unknown],
+    ['Not available', summary.unavailable],
+    ['Cache hit rate', `${summary.cache?.hitRate ?? 0}%`],
+  ];
+  return stats
+    .map(([label, value]) => `<div class="stat"><strong>${escapeHtml(value ?? 0)}</strong>${escapeHtml(label)}</div>`)
+    .join('\n      ');
+}
+
+function renderCategoryOptions(results) {
+  const categories = [...new Set(results.map(result => result.validation.category))].sort();
+  return categories
+    .map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`)
+    .join('');
+}
+
+/**
+ * Render a self-contained HTML page that groups documented commands by file
+ */
+export async function formatHtmlReport(verification) {
+  const files = await groupOccurrencesByFile(verification);
+  const sections = [...files.entries()].map(([file, occurrences]) => `
+    <details class="file" open>
+      <summary>${escapeHtml(file)} (${occurrences.length})</summary>${occurrences.map(renderOccurrence).join('')}
+    </details>`).join('');
+
+  const generatedAt = new Date().toISOString();
+  const commit = verification.commit ? ` at ${escapeHtml(verification.commit.slice(0, 12))}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Command Verification Report</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Documentation Command Health</h1>
+      <p>Generated ${escapeHtml(generatedAt)}${commit}</p>
+    </div>
+    <div class="content">
+      <div class="summary">
+      ${renderSummary(verification.summary)}
+      </div>
+      <div class="filters">
+        <label>Category
+          <select id="filter-category"><option value="">All</option>${renderCategoryOptions(verification.results)}</select>
+        </label>
+        <label>Availability
+          <select id="filter-availability">
+            <option value="">All</option>
+            <option value="available">Available</option>
+            <option value="missing">Not available</option>
+          </select>
+        </label>
+        <label>Search <input id="filter-search" type="search" placeholder="npm run"></label>
+      </div>${sections}
+    </div>
+  </div>
+  <script>${FILTER_SCRIPT}</script>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,20 @@
+import { formatJsonReport } from './json.js';
+import { formatSarifReport } from './sarif.js';
+import { formatJunitReport } from './junit.js';
+import { formatGithubAnnotations } from './github.js';
+import { formatHtmlReport } from './html.js';
+
+const REPORTERS = {
+  json: { render: formatJsonReport, ownsStdout: true },
+  sarif: { render: formatSarifReport, ownsStdout: true },
+  junit: { render: formatJunitReport, ownsStdout: true },
+  // Workflow commands are parsed line by line, so they can share stdout with logs
+  github: { render: formatGithubAnnotations, ownsStdout: false },
+  html: { render: formatHtmlReport, ownsStdout: true },
+};
+
+export const REPORT_FORMATS = Object.keys(REPORTERS);
+
+export function getReporter(format) {
+  return REPORTERS[format] ?? null;
+}
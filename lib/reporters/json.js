@@ -0,0 +1,39 @@
+export const JSON_REPORT_VERSION = 1;
+
+function serialiseResult(result) {
+  const { validation } = result;
+  return {
+    command: result.command,
+    locations: result.locations,
+    category: validation.category,
+    confidence: validation.confidence,
+    available: validation.available,
+    success: validation.success,
+    severity: validation.severity ?? null,
+    message: validation.message ?? null,
+    suggestion: validation.suggestion ?? null,
+    segments: validation.segments ?? null,
+    issues: validation.issues ?? [],
+    validatedAt: validation.validatedAt ?? null,
+    cached: Boolean(result.cached),
+    execution: result.execution ?? null,
+  };
+}
+
+/**
+ * Build the versioned, machine-readable report for a verification run
+ */
+export function buildJsonReport(verification) {
+  return {
+    version: JSON_REPORT_VERSION,
+    tool: 'command-verify',
+    generatedAt: new Date().toISOString(),
+    commit: verification.commit ?? null,
+    summary: verification.summary,
+    commands: verification.results.map(serialiseResult),
+  };
+}
+
+export function formatJsonReport(verification) {
+  return `${JSON.stringify(buildJsonReport(verification), null, 2)}\n`;
+}
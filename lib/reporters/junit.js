@@ -0,0 +1,112 @@
+import { meetsSeverityThreshold } from '../messages.js';
+import { describeResult } from './findings.js';
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+};
+
+// XML 1.0 allows no control characters other than tab, newline and carriage return
+function isXmlCharacter(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+}
+
+function escapeXml(value) {
+  return Array.from(String(value ?? ''))
+    .filter(isXmlCharacter)
+    .join('')
+    .replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function classifyOutcome(result, description, failOn) {
+  if (result.validation.category === 'skip') return 'skipped';
+  if (meetsSeverityThreshold(description.severity, failOn)) return 'failure';
+  if (description.severity === 'warning') return 'skipped';
+  return 'passed';
+}
+
+function groupCasesByFile(verification) {
+  const failOn = verification.config?.failOn ?? 'error';
+  const suites = new Map();
+
+  for (const result of verification.results) {
+    const description = describeResult(result, verification.config);
+    const outcome = classifyOutcome(result, description, failOn);
+
+    for (const location of result.locations ?? []) {
+      const file = location.file ?? 'unknown';
+      if (!suites.has(file)) {
+        suites.set(file, []);
+      }
+      suites.get(file).push({
+        name: result.command,
+        classname: location.line ? `${file}:${location.line}` : file,
+        category: result.validation.category,
+        outcome,
+        ...description,
+      });
+    }
+  }
+
+  return suites;
+}
+
+function renderTestCase(testCase) {
+  const open = `    <testcase name="${escapeXml(testCase.name)}" classname="${escapeXml(testCase.classname)}" time="0">`;
+  const detail = [testCase.message, testCase.suggestion].filter(Boolean).join('\n');
+
+  if (testCase.outcome === 'failure') {
+    return [
+      open,
+      `      <failure message="${escapeXml(testCase.message)}" type="${escapeXml(testCase.category)}">${escapeXml(detail)}</failure>`,
+      '    </testcase>',
+    ].join('\n');
+  }
+
+  if (testCase.outcome === 'skipped') {
+    return [
+      open,
+      `      <skipped message="${escapeXml(testCase.message)}"/>`,
+      '    </testcase>',
+    ].join('\n');
+  }
+
+  return `${open}</testcase>`;
+}
+
+/**
+ * Render JUnit XML with one testsuite per markdown file and one testcase per
+ * documented command occurrence
+ */
+export function formatJunitReport(verification) {
+  const suites = groupCasesByFile(verification);
+  const lines = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalSkipped = 0;
+
+  for (const [file, cases] of suites) {
+    const failures = cases.filter(testCase => testCase.outcome === 'failure').length;
+    const skipped = cases.filter(testCase => testCase.outcome === 'skipped').length;
+    totalTests += cases.length;
+    totalFailures += failures;
+    totalSkipped += skipped;
+
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="0">`);
+    lines.push(...cases.map(renderTestCase));
+    lines.push('  </testsuite>');
+  }
+
+  const durationSeconds = ((verification.summary?.durationMs ?? 0) / 1000).toFixed(3);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="command-verify" tests="${totalTests}" failures="${totalFailures}" errors="0" skipped="${totalSkipped}" time="${durationSeconds}">`,
+    ...lines,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
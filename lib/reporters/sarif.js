@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+
+import { FINDING_RULES, collectFindings } from './findings.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const RULE_PREFIX = 'command-verify';
+
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note',
+};
+
+function toRuleId(rule) {
+  return `${RULE_PREFIX}/${rule}`;
+}
+
+function buildRules() {
+  return Object.entries(FINDING_RULES).map(([rule, meta]) => ({
+    id: toRuleId(rule),
+    name: meta.name,
+    shortDescription: { text: meta.description },
+  }));
+}
+
+function buildRegion(location) {
+  const region = {};
+  if (location.line) region.startLine = location.line;
+  if (location.endLine) region.endLine = location.endLine;
+  return region;
+}
+
+function buildResult(finding, ruleIndex) {
+  const text = finding.suggestion ? `${finding.message} ${finding.suggestion}` : finding.message;
+  const physicalLocation = {
+    artifactLocation: {
+      uri: finding.location.file,
+      uriBaseId: '%SRCROOT%',
+    },
+  };
+
+  const region = buildRegion(finding.location);
+  if (Object.keys(region).length > 0) {
+    physicalLocation.region = region;
+  }
+
+  return {
+    ruleId: toRuleId(finding.ruleId),
+    ruleIndex,
+    level: LEVELS[finding.severity] ?? 'warning',
+    message: { text },
+    locations: [{ physicalLocation }],
+    partialFingerprints: {
+      commandHash: crypto.createHash('sha1').update(finding.command).digest('hex'),
+    },
+    properties: {
+      command: finding.command,
+      category: finding.category,
+      suggestion: finding.suggestion,
+    },
+  };
+}
+
+/**
+ * Build a SARIF 2.1.0 log for code-scanning upload
+ */
+export function buildSarifReport(verification) {
+  const rules = buildRules();
+  const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+  const results = collectFindings(verification)
+    .map(finding => buildResult(finding, ruleIndexes.get(toRuleId(finding.ruleId))));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'command-verify',
+            informationUri: 'https://github.com/doswa/command-verify',
+            rules,
+          },
+        },
+        results,
+        properties: {
+          commit: verification.commit ?? null,
+        },
+      },
+    ],
+  };
+}
+
+export function formatSarifReport(verification) {
+  return `${JSON.stringify(buildSarifReport(verification), null, 2)}\n`;
+}
@@ -0,0 +1,228 @@
+const SEPARATORS = ['&&', '||', '|&', ';;', ';', '|', '&', '\n'];
+
+function isWordStart(input, index) {
+  return index === 0 || /[\s;&|()]/.test(input[index - 1]);
+}
+
+/**
+ * Find the index of the parenthesis closing the one at `openIndex`,
+ * skipping over quoted text. Returns -1 when it is unbalanced.
+ */
+function findClosingParen(input, openIndex) {
+  let depth = 0;
+  let quote = null;
+
+  for (let index = openIndex; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        index += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) return index;
+    }
+  }
+
+  return -1;
+}
+
+function findClosingBacktick(input, openIndex) {
+  for (let index = openIndex + 1; index < input.length; index += 1) {
+    if (input[index] === '\\') {
+      index += 1;
+    } else if (input[index] === '`') {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function matchSeparator(input, index) {
+  // "2>&1", ">&2" and "&>" are redirections, not background operators
+  if (input[index] === '&' && (/[<>]/.test(input[index - 1] ?? '') || input[index + 1] === '>')) {
+    return null;
+  }
+  return SEPARATORS.find(separator => input.startsWith(separator, index)) ?? null;
+}
+
+function normaliseSegment(text) {
+  // Brace groups: "{ npm test; }" leaves "{ npm test" and "}" behind
+  const trimmed = text.trim().replace(/^\{\s+/, '');
+  return trimmed === '}' ? '' : trimmed;
+}
+
+function tokenize(input, segments) {
+  let current = '';
+  let quote = null;
+  // Redirections trailing a subshell belong to it, not to a new command
+  let discard = false;
+
+  const flush = () => {
+    const segment = normaliseSegment(current);
+    if (segment) segments.push(segment);
+    current = '';
+    discard = false;
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quote === '\'') {
+      current += char;
+      if (char === '\'') quote = null;
+      continue;
+    }
+
+    if (char === '\\') {
+      current += input.slice(index, index + 2);
+      index += 1;
+      continue;
+    }
+
+    if (char === '$' && input[index + 1] === '(') {
+      const close = findClosingParen(input, index + 1);
+      if (close === -1) {
+        current += input.slice(index);
+        break;
+      }
+      const inner = input.slice(index + 2, close);
+      // $(( ... )) is arithmetic expansion rather than a command
+      if (!inner.startsWith('(')) {
+        tokenize(inner, segments);
+      }
+      current += input.slice(index, close + 1);
+      index = close;
+      continue;
+    }
+
+    if (char === '`') {
+      const close = findClosingBacktick(input, index);
+      if (close === -1) {
+        current += input.slice(index);
+        break;
+      }
+      tokenize(input.slice(index + 1, close), segments);
+      current += input.slice(index, close + 1);
+      index = close;
+      continue;
+    }
+
+    if (quote === '"') {
+      current += char;
+      if (char === '"') quote = null;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      quote = char;
+      current += char;
+      continue;
+    }
+
+    if (char === '#' && isWordStart(input, index)) {
+      const newline = input.indexOf('\n', index);
+      if (newline === -1) break;
+      index = newline - 1;
+      continue;
+    }
+
+    if (char === '(' && !current.trim()) {
+      const close = findClosingParen(input, index);
+      if (close === -1) {
+        current += input.slice(index);
+        break;
+      }
+      tokenize(input.slice(index + 1, close), segments);
+      index = close;
+      discard = true;
+      continue;
+    }
+
+    const separator = matchSeparator(input, index);
+    if (separator) {
+      flush();
+      index += separator.length - 1;
+      continue;
+    }
+
+    if (!discard) {
+      current += char;
+    }
+  }
+
+  flush();
+}
+
+/**
+ * Split a POSIX shell command line into its simple commands.
+ *
+ * Pipelines, `&&`, `||`, `;`, background `&`, subshells and command
+ * substitutions (`$(...)` and backticks) are split apart; substitutions are
+ * listed before the command that contains them.
+ */
+export function splitShellCommand(input) {
+  if (typeof input !== 'string') return [];
+  const segments = [];
+  tokenize(input, segments);
+  return segments;
+}
+
+/**
+ * Split a simple command into words, removing quotes and escapes
+ */
+export function splitShellWords(input) {
+  if (typeof input !== 'string') return [];
+  const words = [];
+  let current = '';
+  let inWord = false;
+  let quote = null;
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && /["\\$`]/.test(input[index + 1] ?? '')) {
+        current += input[index + 1];
+        index += 1;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (inWord) words.push(current);
+      current = '';
+      inWord = false;
+      continue;
+    }
+
+    inWord = true;
+    if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '\\' && index + 1 < input.length) {
+      current += input[index + 1];
+      index += 1;
+    } else {
+      current += char;
+    }
+  }
+
+  if (inWord) words.push(current);
+  return words;
+}
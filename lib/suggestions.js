@@ -0,0 +1,46 @@
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const above = previous[j];
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + cost);
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Rank candidates by edit distance to the input, keeping only plausible typos
+ */
+export function findClosestMatches(input, candidates, { max = 3 } = {}) {
+  const threshold = Math.max(2, Math.floor(input.length / 3));
+  const lowerInput = input.toLowerCase();
+
+  return [...new Set(candidates)]
+    .map(candidate => {
+      const lowerCandidate = candidate.toLowerCase();
+      const distance = lowerCandidate.includes(lowerInput) || lowerInput.includes(lowerCandidate)
+        ? Math.min(levenshtein(lowerInput, lowerCandidate), threshold)
+        : levenshtein(lowerInput, lowerCandidate);
+      return { candidate, distance };
+    })
+    .filter(({ distance }) => distance <= threshold)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, max)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Format a did-you-mean hint, or null when nothing is close enough
+ */
+export function formatDidYouMean(input, candidates) {
+  const matches = findClosestMatches(input, candidates);
+  if (matches.length === 0) return null;
+  return `Did you mean ${matches.map(match => `"${match}"`).join(', ')}?`;
+}
@@ -2,18 +2,56 @@ import fs from 'fs/promises';
 import path from 'path';
 import { execSync } from 'child_process';
 
-import { extractCommandsFromMarkdown } from './command-extraction.js';
+import { extractCommandsFromMarkdown, findCodeBlockRanges } from './command-extraction.js';
 import { categorizeCommand } from './command-categorization.js';
-import { loadConfiguration, ensureConfigReady, ConfigurationError } from './config.js';
+import { loadConfiguration, ensureConfigReady, validateSeverity, ConfigurationError } from './config.js';
 import { findMatchingFiles } from './file-discovery.js';
-import { loadCacheEntry, saveCacheEntry, clearCache, ensureCacheStructure } from './cache-manager.js';
-import { buildValidationMessage } from './messages.js';
+import { createGlobIgnore, createGlobMatcher, matchesGlob } from './glob.js';
+import { createIgnoreMatcher } from './ignore-files.js';
+import {
+  saveExecutionRecord,
+  clearCache,
+  ensureCacheStructure,
+  readLastValidatedCommit,
+  writeLastValidatedCommit,
+} from './cache-manager.js';
+import { createCacheStore, pruneCache } from './cache-store.js';
+import { createFingerprinter, describeFingerprintChange } from './environment-fingerprint.js';
+import { createExecutionSandbox, executeCommand, findUnsafeOperation, isExecutable } from './command-execution.js';
+import { runDoctest } from './doctest.js';
+import {
+  collectChangedLines,
+  hunkTouchesRange,
+  readCommitDiff,
+  readScopedDiff,
+  readStagedFile,
+  resolveMergeBase,
+} from './git-diff.js';
+import { buildValidationMessage, buildLocationPrefix, meetsSeverityThreshold, pickMostSevere } from './messages.js';
+import { createMakeTargetValidator } from './makefile-targets.js';
+import { createPackageScriptValidator } from './package-scripts.js';
+import { createPathReferenceValidator } from './path-references.js';
+import { splitShellCommand } from './shell-parser.js';
+import { REPORT_FORMATS, getReporter } from './reporters/index.js';
+
+export const EXIT_CODES = {
+  success: 0,
+  validationFailed: 1,
+  configurationError: 2,
+  internalError: 3,
+};
+
+const STDERR_LOGGER = {
+  info: message => console.error(message),
+  warn: message => console.error(message),
+  error: message => console.error(message),
+};
 
 function toPosix(p) {
   return p.split(path.sep).join('/');
 }
 
-function createLogger(base = console, { silent = false } = {}) {
+export function createLogger(base = console, { silent = false } = {}) {
   const noop = () => {};
   const info = base.info ?? base.log ?? console.log;
   const warn = base.warn ?? base.error ?? base.log ?? console.warn;
@@ -26,40 +64,56 @@ function createLogger(base = console, { silent = false } = {}) {
   };
 }
 
+export function readOptionValue(argv, name) {
+  const prefix = `${name}=`;
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = argv[index];
+    if (arg.startsWith(prefix)) {
+      return arg.slice(prefix.length);
+    }
+    if (arg === name) {
+      const next = argv[index + 1];
+      return next && !next.startsWith('--') ? next : '';
+    }
+  }
+  return undefined;
+}
+
 export function parseCliArgs(argv = []) {
   return {
     force: argv.includes('--force'),
     stats: argv.includes('--stats'),
     silent: argv.includes('--silent'),
     json: argv.includes('--json'),
+    execute: argv.includes('--execute'),
+    doctest: argv.includes('--doctest'),
+    staged: argv.includes('--staged'),
+    workingTree: argv.includes('--working-tree'),
+    failOn: readOptionValue(argv, '--fail-on'),
+    format: readOptionValue(argv, '--format'),
+    output: readOptionValue(argv, '--output'),
+    base: readOptionValue(argv, '--base') ?? readOptionValue(argv, '--since'),
   };
 }
 
-function globToRegExp(pattern) {
-  const escaped = pattern
-    .replace(/[-/\\^$+?.()|[\]{}]/g, '\\$&')
-    .replace(/\*\*/g, '.*')
-    .replace(/\*/g, '[^/]*')
-    .replace(/\?/g, '[^/]');
-
-  return new RegExp(`^${escaped}$`);
-}
-
-function matchesPattern(file, pattern) {
-  const target = toPosix(file);
-  const normalizedPattern = pattern.replace(/\\/g, '/');
-
-  if (normalizedPattern === '**/*.md' || normalizedPattern === '*.md') {
-    return target.endsWith('.md');
+function resolveReportFormat(cliArgs, env) {
+  const format = cliArgs.format ?? (cliArgs.json ? 'json' : undefined);
+  if (cliArgs.output !== undefined && (format === undefined || !cliArgs.output)) {
+    throw new ConfigurationError('--output requires a report format and a file path', [
+      'Example: --format=html --output report.html',
+    ]);
   }
 
-  if (normalizedPattern.endsWith('/**')) {
-    const prefix = normalizedPattern.slice(0, -3);
-    if (target === prefix) return true;
-    return target.startsWith(`${prefix}/`);
+  if (format === undefined) {
+    return env.GITHUB_ACTIONS === 'true' ? 'github' : null;
   }
 
-  return globToRegExp(normalizedPattern).test(target);
+  if (!getReporter(format)) {
+    throw new ConfigurationError(`Unknown report format "${format}"`, [
+      `Use one of: ${REPORT_FORMATS.join(', ')}`,
+    ]);
+  }
+  return format;
 }
 
 async function loadKnowledgeBase(config, logger) {
@@ -96,7 +150,7 @@ async function loadKnowledgeBase(config, logger) {
   }
 }
 
-async function discoverCommands(config, logger) {
+export async function discoverCommands(config, logger) {
   logger.info('📚 PHASE 1: Command Discovery');
   logger.info('============================================================');
 
@@ -104,6 +158,7 @@ async function discoverCommands(config, logger) {
     cwd: config.cwd,
     ignore: config.ignore,
     fallback: config.fallbackFileDiscovery,
+    respectIgnoreFiles: config.respectIgnoreFiles,
     logger,
   });
 
@@ -115,30 +170,132 @@ async function discoverCommands(config, logger) {
     const absolutePath = path.resolve(config.cwd, relativeFile);
     const displayPath = path.normalize(relativeFile);
     const content = await fs.readFile(absolutePath, 'utf-8');
-    const extracted = extractCommandsFromMarkdown(content, toPosix(displayPath));
-
-    for (const match of extracted) {
-      const commandText = match.command;
-      const location = {
-        file: match.file,
-        line: match.line,
-        type: match.type,
-        language: match.language ?? null,
-      };
-
-      if (!unique.has(commandText)) {
-        unique.set(commandText, {
-          command: commandText,
-          locations: [location],
-        });
-      } else {
-        unique.get(commandText).locations.push(location);
+    addExtractedCommands(unique, extractCommandsFromMarkdown(content, toPosix(displayPath)), findCodeBlockRanges(content, displayPath));
+  }
+
+  const commands = [...unique.values()];
+  logger.info(`✓ Discovered ${commands.length} unique commands`);
+  return { commands, markdownFiles };
+}
+
+function addExtractedCommands(unique, extracted, blockRanges = []) {
+  for (const match of extracted) {
+    const commandText = match.command;
+    const location = {
+      file: match.file,
+      line: match.line,
+      type: match.type,
+      language: match.language ?? null,
+    };
+    if (match.endLine) {
+      location.endLine = match.endLine;
+    }
+    if (match.cwd) {
+      location.cwd = match.cwd;
+    }
+    if (match.type === 'code-block') {
+      const block = blockRanges.find(range => range.start <= match.line && match.line <= range.end);
+      if (block) {
+        location.block = block;
       }
     }
+    if (match.expectedOutput !== undefined) {
+      location.expectedOutput = match.expectedOutput;
+    }
+
+    if (!unique.has(commandText)) {
+      unique.set(commandText, {
+        command: commandText,
+        locations: [location],
+      });
+    } else {
+      unique.get(commandText).locations.push(location);
+    }
+  }
+}
+
+function isDocumentationFile(file, config) {
+  return createGlobMatcher(config.include)(file) && !createGlobIgnore(config.ignore).isIgnored(file);
+}
+
+function touchesChangedLines(match, changedLines) {
+  const endLine = match.endLine ?? match.line;
+  for (let line = match.line; line <= endLine; line += 1) {
+    if (changedLines.has(line)) return true;
+  }
+  return false;
+}
+
+function resolveScope(cliArgs) {
+  const modes = [
+    cliArgs.staged && 'staged',
+    cliArgs.workingTree && 'working-tree',
+    cliArgs.base !== undefined && 'base',
+  ].filter(Boolean);
+
+  if (modes.length > 1) {
+    throw new ConfigurationError(`--${modes.join(' and --')} cannot be combined`, [
+      'Use --staged in pre-commit hooks, --working-tree for uncommitted edits and --base <ref> in pull requests',
+    ]);
+  }
+  if (cliArgs.base === '') {
+    throw new ConfigurationError('--base requires a git ref', [
+      'Example: --base origin/main',
+    ]);
+  }
+  return modes[0] ?? null;
+}
+
+function resolvePullRequestBase(ref, cwd) {
+  try {
+    return resolveMergeBase(ref, cwd);
+  } catch (error) {
+    throw new ConfigurationError(`Cannot find the merge-base of ${ref} and HEAD: ${error.message.split('\n')[0]}`, [
+      `Fetch the base branch first, e.g. git fetch origin ${ref.replace(/^origin\//, '')}`,
+      'Shallow CI checkouts need enough history (actions/checkout with fetch-depth: 0)',
+    ]);
+  }
+}
+
+/**
+ * Discover only the commands on lines changed in the index (--staged) or the
+ * working copy (--working-tree), reading the content from the same place.
+ */
+async function discoverScopedCommands(config, scope, logger) {
+  logger.info(`📚 PHASE 1: Command Discovery (${scope} changes)`);
+  logger.info('============================================================');
+
+  let diff;
+  try {
+    diff = readScopedDiff(scope, config.cwd);
+  } catch (error) {
+    throw new ConfigurationError(`Cannot read ${scope} changes: ${error.message.split('\n')[0]}`, [
+      `--${scope} needs a git repository with at least one commit`,
+    ]);
+  }
+
+  const ignoreMatcher = config.respectIgnoreFiles ? createIgnoreMatcher(config.cwd) : null;
+  const changed = diff.filter(entry => entry.file && isDocumentationFile(entry.file, config));
+  const unique = new Map();
+
+  for (const entry of changed) {
+    if (await ignoreMatcher?.isIgnored(entry.file)) continue;
+
+    const content = scope === 'staged'
+      ? readStagedFile(entry.file, config.cwd)
+      : await fs.readFile(path.resolve(config.cwd, entry.file), 'utf-8');
+    const extracted = extractCommandsFromMarkdown(content, entry.file);
+    const changedLines = collectChangedLines(entry.hunks);
+
+    addExtractedCommands(unique, entry.untracked
+      ? extracted
+      : extracted.filter(match => touchesChangedLines(match, changedLines)), findCodeBlockRanges(content, entry.file));
   }
 
+  const markdownFiles = changed.map(entry => entry.file);
   const commands = [...unique.values()];
-  logger.info(`✓ Discovered ${commands.length} unique commands`);
+  logger.info(`📄 ${markdownFiles.length} changed markdown files`);
+  logger.info(`✓ Discovered ${commands.length} commands on changed lines`);
   return { commands, markdownFiles };
 }
 
@@ -164,24 +321,80 @@ function getChangedFiles(sinceCommit, cwd, logger) {
   }
 }
 
+/**
+ * Read the diff hunks since a commit, keyed by posix path. Returns null when
+ * they are unavailable so callers fall back to whole-file invalidation.
+ */
+function getChangedHunks(sinceCommit, cwd, logger) {
+  try {
+    const hunks = new Map();
+    for (const entry of readCommitDiff(sinceCommit, cwd)) {
+      if (entry.file) {
+        hunks.set(entry.file, entry.hunks);
+      }
+    }
+    return hunks;
+  } catch (error) {
+    logger.warn(`⚠️  git diff hunks unavailable (${error.message.split('\n')[0]}). Revalidating whole files.`);
+    return null;
+  }
+}
+
+function isLocationTouched(location, hunks) {
+  // A change anywhere in a code block (fence language, a preceding cd) can affect its commands
+  const range = location.block ?? { start: location.line, end: location.endLine ?? location.line };
+  return hunks.some(hunk => hunkTouchesRange(hunk, range.start, range.end));
+}
+
+const isMarkdownFile = file => /\.mdx?$/i.test(file);
+
+function addCommandsOnChangedLines(file, commands, affected, { hunks } = {}) {
+  const normalized = toPosix(file);
+  const fileHunks = hunks?.get(normalized);
+  for (const cmd of commands) {
+    const locations = cmd.locations.filter(loc => toPosix(loc.file) === normalized);
+    // Commands only shifted by edits elsewhere in the file keep their cache
+    if (locations.length > 0 && (!fileHunks || locations.some(loc => isLocationTouched(loc, fileHunks)))) {
+      affected.add(cmd.command);
+    }
+  }
+}
+
+/**
+ * Commands whose documentation lines the change touched, ignoring rules that
+ * only revalidate commands because code they depend on changed
+ */
+function findTouchedCommands(changedFiles, commands, hunks) {
+  const touched = new Set();
+  for (const file of changedFiles) {
+    if (isMarkdownFile(file)) {
+      addCommandsOnChangedLines(file, commands, touched, { hunks });
+    }
+  }
+  return touched;
+}
+
 function buildInvalidationRules(knowledgeBase) {
   const rules = [
     {
-      pattern: file => file.endsWith('.md'),
+      pattern: isMarkdownFile,
+      invalidate: addCommandsOnChangedLines,
+    },
+    {
+      pattern: file => ['package.json', 'pnpm-workspace.yaml'].includes(path.basename(file)),
       invalidate: (file, commands, affected) => {
-        const normalized = toPosix(file);
         for (const cmd of commands) {
-          if (cmd.locations.some(loc => toPosix(loc.file) === normalized)) {
+          if (/^(npm|yarn|pnpm|bun|node|npx)\s/.test(cmd.command)) {
             affected.add(cmd.command);
           }
         }
       },
     },
     {
-      pattern: file => path.normalize(file) === 'package.json',
+      pattern: file => ['GNUmakefile', 'makefile', 'Makefile'].includes(path.basename(file)) || file.endsWith('.mk'),
       invalidate: (file, commands, affected) => {
         for (const cmd of commands) {
-          if (/^(npm|yarn|pnpm|node|npx)\s/.test(cmd.command)) {
+          if (splitShellCommand(cmd.command).some(segment => /^g?make(\s|$)/.test(segment))) {
             affected.add(cmd.command);
           }
         }
@@ -217,12 +430,25 @@ function buildInvalidationRules(knowledgeBase) {
         }
       },
     },
+    {
+      // Added, deleted or chmod-ed files re-check the commands that reference them
+      pattern: () => true,
+      invalidate: (file, commands, affected) => {
+        const name = path.basename(file);
+        for (const cmd of commands) {
+          if (cmd.command.includes(name)) {
+            affected.add(cmd.command);
+          }
+        }
+      },
+    },
   ];
 
   const kbRules = knowledgeBase?.filePatterns?.rules ?? [];
   for (const rule of kbRules) {
     if (!rule.filePattern || !rule.invalidates) continue;
-    const matcher = file => matchesPattern(file, rule.filePattern);
+    // Changed files such as .github/workflows/*.yml must match, so dotfiles count here
+    const matcher = file => matchesGlob(toPosix(file), rule.filePattern, { dot: true });
     rules.push({
       pattern: matcher,
       invalidate: (file, commands, affected) => {
@@ -253,7 +479,7 @@ function buildInvalidationRules(knowledgeBase) {
   return rules;
 }
 
-function analyzeImpact(changedFiles, commands, knowledgeBase, logger) {
+function analyzeImpact(changedFiles, commands, knowledgeBase, logger, hunks = null) {
   logger.info('\n🔄 PHASE 2: Cache Analysis');
   logger.info('============================================================');
 
@@ -271,7 +497,7 @@ function analyzeImpact(changedFiles, commands, knowledgeBase, logger) {
     for (const rule of rules) {
       try {
         if (rule.pattern(file)) {
-          rule.invalidate(file, commands, affected);
+          rule.invalidate(file, commands, affected, { hunks });
         }
       } catch (error) {
         logger.warn(`⚠️  Failed to apply invalidation rule for ${file}: ${error.message}`);
@@ -283,22 +509,8 @@ function analyzeImpact(changedFiles, commands, knowledgeBase, logger) {
   return affected;
 }
 
-async function readLastValidatedCommit(config) {
-  try {
-    const raw = await fs.readFile(config.lastCommitFile, 'utf-8');
-    return raw.trim();
-  } catch {
-    return null;
-  }
-}
-
-async function writeLastValidatedCommit(config, commit) {
-  if (!commit) return;
-  await fs.mkdir(config.cacheDir, { recursive: true });
-  await fs.writeFile(config.lastCommitFile, commit, 'utf-8');
-}
-
-async function testCommandAvailability(command) {
+// Looks the command up with the environment its cache fingerprint is taken in
+async function testCommandAvailability(command, env = process.env) {
   const commandName = command.command.trim().split(/\s+/)[0];
   const lookupCommand = process.platform === 'win32' ? 'where' : 'which';
 
@@ -307,6 +519,7 @@ async function testCommandAvailability(command) {
       encoding: 'utf-8',
       stdio: 'pipe',
       timeout: 2000,
+      env,
     });
     return { available: true };
   } catch (error) {
@@ -318,6 +531,65 @@ async function testCommandAvailability(command) {
   }
 }
 
+function createProjectValidators(config) {
+  return [
+    createPackageScriptValidator(config),
+    createMakeTargetValidator(config),
+    createPathReferenceValidator(config),
+  ];
+}
+
+async function collectProjectIssues(commandEntry, validators = []) {
+  const issues = [];
+  for (const validate of validators) {
+    issues.push(...await validate(commandEntry));
+  }
+  return issues;
+}
+
+// Line numbers change whenever text is added above a command, so cached
+// validations keep the file, working directory and occurrence of each issue's
+// location and are re-anchored to the command's current locations when read
+function findPeers(location, locations) {
+  return locations.filter(candidate => candidate.file === location.file && candidate.cwd === location.cwd);
+}
+
+function detachLocation(location = {}, locations = []) {
+  const detached = location.cwd === undefined ? { file: location.file } : { file: location.file, cwd: location.cwd };
+  const occurrence = findPeers(location, locations)
+    .findIndex(candidate => candidate === location || candidate.line === location.line);
+  return occurrence === -1 ? detached : { ...detached, occurrence };
+}
+
+function findCurrentLocation(stored, locations) {
+  const peers = findPeers(stored, locations);
+  return peers[stored.occurrence ?? 0]
+    ?? peers[0]
+    ?? locations.find(location => location.file === stored.file)
+    ?? stored;
+}
+
+/**
+ * Attach a cached validation to the command's current locations: issues get
+ * their location back and the message its file:line prefix
+ */
+function anchorValidation(validation, locations = []) {
+  const { messageAnchor, ...anchored } = validation;
+  if (validation.issues) {
+    anchored.issues = validation.issues.map(issue => ({
+      ...issue,
+      location: findCurrentLocation(issue.location ?? {}, locations),
+    }));
+  }
+
+  // Entries cached before anchors were recorded already carry their prefix
+  if (messageAnchor !== undefined && messageAnchor !== null) {
+    const location = messageAnchor === 'command' ? locations[0] : anchored.issues?.[messageAnchor]?.location;
+    anchored.message = `${buildLocationPrefix(location ? [location] : [])}${validation.message}`;
+  }
+  return anchored;
+}
+
 async function validateCommandEntry(commandEntry, context) {
   const { knowledgeBase, config, currentCommit } = context;
   const classification = categorizeCommand(commandEntry, knowledgeBase);
@@ -328,7 +600,7 @@ async function validateCommandEntry(commandEntry, context) {
       command: commandEntry.command,
       category: 'skip',
       available: true,
-      locations: commandEntry.locations,
+      locations: [],
       treatUnknownAsWarnings: config.treatUnknownAsWarnings,
     });
 
@@ -341,6 +613,7 @@ async function validateCommandEntry(commandEntry, context) {
       success: true,
       duration: 0,
       message: message.message,
+      messageAnchor: 'command',
       suggestion: message.suggestion,
       severity: message.severity,
       validatedAt: now,
@@ -348,12 +621,13 @@ async function validateCommandEntry(commandEntry, context) {
     };
   }
 
-  const availability = await testCommandAvailability(commandEntry);
+  const availability = await testCommandAvailability(commandEntry, context.env);
+  const issues = await collectProjectIssues(commandEntry, context.validators);
   const message = buildValidationMessage({
     command: commandEntry.command,
     category: classification.category,
     available: availability.available,
-    locations: commandEntry.locations,
+    locations: [],
     treatUnknownAsWarnings: config.treatUnknownAsWarnings,
   });
 
@@ -372,6 +646,22 @@ async function validateCommandEntry(commandEntry, context) {
     success = false;
   }
 
+  let resultMessage = availability.available ? message.message : availability.error ?? message.message;
+  // Availability errors describe the system rather than a line in the docs
+  let messageAnchor = availability.available || !availability.error ? 'command' : null;
+  let { suggestion, severity } = message;
+
+  const worstIssue = pickMostSevere(issues);
+  if (worstIssue && meetsSeverityThreshold(worstIssue.severity, severity)) {
+    resultMessage = worstIssue.message;
+    messageAnchor = issues.indexOf(worstIssue);
+    suggestion = worstIssue.suggestion;
+    severity = worstIssue.severity;
+  }
+  if (issues.some(issue => issue.severity === 'error')) {
+    success = false;
+  }
+
   return {
     command: commandEntry.command,
     category: classification.category,
@@ -380,9 +670,12 @@ async function validateCommandEntry(commandEntry, context) {
     available: availability.available,
     success,
     duration: 0,
-    message: availability.available ? message.message : availability.error ?? message.message,
-    suggestion: message.suggestion,
-    severity: message.severity,
+    message: resultMessage,
+    messageAnchor,
+    suggestion,
+    severity,
+    ...(classification.segments ? { segments: classification.segments } : {}),
+    ...(issues.length > 0 ? { issues: issues.map(issue => ({ ...issue, location: detachLocation(issue.location, commandEntry.locations) })) } : {}),
     validatedAt: now,
     commit: currentCommit,
   };
@@ -397,28 +690,34 @@ async function validateCommands(commands, affectedCommands, context, cacheStats,
   for (const commandEntry of commands) {
     const commandText = commandEntry.command;
     const needsRevalidation = affectedCommands.size === 0 ? false : affectedCommands.has(commandText);
+    const environment = await context.fingerprint(commandText);
 
     if (!needsRevalidation) {
-      const { entry, repaired } = await loadCacheEntry(commandText, context.config, logger, cacheStats);
-      if (entry) {
+      const { entry, repaired } = await context.cacheStore.get(commandText, logger, cacheStats);
+      const staleReason = entry ? describeFingerprintChange(entry.environment, environment) : null;
+      if (entry && !staleReason) {
         cacheStats.hits += 1;
-        results.push({ ...commandEntry, validation: entry });
+        results.push({ ...commandEntry, validation: anchorValidation(entry, commandEntry.locations), cached: true });
         continue;
       }
+      if (staleReason) {
+        cacheStats.invalidated.push({ command: commandText, reason: staleReason });
+      }
       if (repaired) {
         cacheStats.repaired += 1;
       }
     }
 
-    const validation = await validateCommandEntry(commandEntry, context);
+    const validation = { ...await validateCommandEntry(commandEntry, context), environment };
     cacheStats.misses += 1;
     if (needsRevalidation) {
       cacheStats.revalidated += 1;
     }
 
-    await saveCacheEntry(commandText, validation, context.config);
-    results.push({ ...commandEntry, validation });
+    await context.cacheStore.set(commandText, validation);
+    results.push({ ...commandEntry, validation: anchorValidation(validation, commandEntry.locations), cached: false });
   }
+  await context.cacheStore.flush(logger);
 
   const fromCache = cacheStats.hits;
   const validated = results.length - fromCache;
@@ -427,6 +726,124 @@ async function validateCommands(commands, affectedCommands, context, cacheStats,
   return results;
 }
 
+function describeExecutionFailure(record, config) {
+  if (record.timedOut) {
+    return `Command timed out after ${config.executionTimeout}ms.`;
+  }
+  return `Command exited with code ${record.exitCode}.`;
+}
+
+// Runtime issues are never cached, so the validation is replaced rather than mutated
+function applyRuntimeIssue(result, issue) {
+  result.validation = {
+    ...result.validation,
+    success: false,
+    severity: 'error',
+    message: `${buildLocationPrefix([issue.location])}${issue.message}`,
+    suggestion: issue.suggestion,
+    issues: [...(result.validation.issues ?? []), issue],
+  };
+}
+
+function applyExecutionFailure(result, record, config) {
+  const lastErrorLine = record.stderr.trim().split('\n').pop();
+  applyRuntimeIssue(result, {
+    rule: 'execution-failed',
+    severity: 'error',
+    message: describeExecutionFailure(record, config),
+    suggestion: lastErrorLine ? `stderr: ${lastErrorLine}` : 'Run the command locally to reproduce the failure.',
+    location: result.locations?.[0],
+  });
+}
+
+async function executeCommands(results, context, logger) {
+  logger.info('\n🏃 PHASE 3b: Execution');
+  logger.info('============================================================');
+
+  const runnable = results.filter(isExecutable);
+  let failed = 0;
+
+  for (const result of results) {
+    const reason = result.validation.category === 'safe' ? findUnsafeOperation(result.command) : null;
+    if (reason) {
+      logger.info(`   ⏭️  ${result.command}: not run, ${reason}`);
+    }
+  }
+
+  // One copy of the working tree per run, reset between commands
+  const sandbox = runnable.length > 0 ? await createExecutionSandbox(context.config) : null;
+  try {
+    for (const result of runnable) {
+      const record = await executeCommand(result, { ...context, sandbox });
+      await saveExecutionRecord(result.command, record, context.config);
+      result.execution = record;
+
+      if (record.success) {
+        logger.info(`   ✓ ${result.command} (${record.duration}ms)`);
+      } else {
+        failed += 1;
+        applyExecutionFailure(result, record, context.config);
+        logger.warn(`   ✗ ${result.command}: ${describeExecutionFailure(record, context.config)}`);
+      }
+    }
+  } finally {
+    await sandbox?.dispose();
+  }
+
+  logger.info(`✓ Executed ${runnable.length} safe commands (${failed} failed, ${results.length - runnable.length} skipped)`);
+  return { executed: runnable.length, failed, skipped: results.length - runnable.length };
+}
+
+async function runDoctests(results, context, logger) {
+  logger.info('\n🧪 PHASE 3c: Doctests');
+  logger.info('============================================================');
+
+  const documented = results.filter(result => result.locations.some(location => location.expectedOutput !== undefined));
+  const runnable = documented.filter(isExecutable);
+  let failed = 0;
+
+  // Commands already run by --execute are compared against that execution
+  const needsSandbox = runnable.some(result => !result.execution);
+  const sandbox = needsSandbox ? await createExecutionSandbox({ ...context.config, executionSandbox: 'temp' }) : null;
+  try {
+    for (const result of runnable) {
+      const { record, mismatches } = await runDoctest(result, { ...context, sandbox, record: result.execution });
+      if (!result.execution) {
+        await saveExecutionRecord(result.command, record, context.config);
+      }
+
+      if (mismatches.length === 0) {
+        logger.info(`   ✓ ${result.command}`);
+        continue;
+      }
+
+      failed += 1;
+      for (const { location, diff, timedOut } of mismatches) {
+        applyRuntimeIssue(result, {
+          rule: 'output-mismatch',
+          severity: 'error',
+          message: timedOut
+            ? describeExecutionFailure(record, context.config)
+            : 'Output does not match the documented output.',
+          suggestion: diff,
+          diff,
+          location,
+        });
+        logger.warn(`   ✗ ${buildLocationPrefix([location])}${result.command}`);
+        if (diff) {
+          logger.warn(diff.split('\n').map(line => `     ${line}`).join('\n'));
+        }
+      }
+    }
+  } finally {
+    await sandbox?.dispose();
+  }
+
+  const skipped = documented.length - runnable.length;
+  logger.info(`✓ Checked ${runnable.length} documented outputs (${failed} failed, ${skipped} skipped)`);
+  return { checked: runnable.length, failed, skipped };
+}
+
 function generateSummary(commands, results, startTime, changedFiles, cacheStats, logger) {
   const durationMs = Date.now() - startTime;
   const total = commands.length;
@@ -474,6 +891,12 @@ function generateSummary(commands, results, startTime, changedFiles, cacheStats,
     logger.info(`   Corrupted entries repaired: ${cacheStats.corrupted}`);
     logger.info(`   Rebuilt after repair: ${cacheStats.repaired}`);
   }
+  if (cacheStats.invalidated.length > 0) {
+    logger.info(`   Invalidated by environment changes: ${cacheStats.invalidated.length}`);
+    for (const { command, reason } of cacheStats.invalidated) {
+      logger.info(`      ${command}: ${reason}`);
+    }
+  }
 
   const unavailableCommands = results.filter(r => !r.validation.available && r.validation.category !== 'skip');
   if (unavailableCommands.length > 0) {
@@ -498,15 +921,46 @@ function generateSummary(commands, results, startTime, changedFiles, cacheStats,
   };
 }
 
+/**
+ * Log what a prune removed and return the per-reason counts. Runs that prune
+ * nothing stay quiet unless `always` is set.
+ */
+export function logPruneCounts(pruned, logger, { always = true, dryRun = false } = {}) {
+  const counts = {
+    orphaned: pruned.orphaned.length,
+    expired: pruned.expired.length,
+    evicted: pruned.evicted.length,
+  };
+  const total = counts.orphaned + counts.expired + counts.evicted;
+  if (total > 0 || always) {
+    logger.info(`\n🧹 Cache pruning${dryRun ? ' (dry run)' : ''}:`);
+    logger.info(`   Orphaned (no longer documented): ${counts.orphaned}`);
+    logger.info(`   Expired: ${counts.expired}`);
+    logger.info(`   Evicted over size budget: ${counts.evicted}`);
+    logger.info(`   Remaining entries: ${pruned.remaining}`);
+  }
+  return counts;
+}
+
 export async function runVerification(options = {}) {
   const args = options.args ?? process.argv.slice(2);
   const cliArgs = parseCliArgs(args);
   const cwd = options.cwd ?? process.cwd();
-  const logger = createLogger(options.logger ?? console, { silent: options.silent || cliArgs.silent });
+  const format = resolveReportFormat(cliArgs, options.env ?? process.env);
+  const scope = resolveScope(cliArgs);
+  const reporter = format ? getReporter(format) : null;
+
+  // Machine-readable output owns stdout, so human logs move to stderr
+  const reportToStdout = reporter?.ownsStdout && !cliArgs.output;
+  const baseLogger = options.logger ?? (reportToStdout ? STDERR_LOGGER : console);
+  const logger = createLogger(baseLogger, { silent: options.silent || cliArgs.silent });
 
   let config;
   try {
     config = await loadConfiguration(cwd);
+    if (cliArgs.failOn !== undefined) {
+      config.failOn = validateSeverity(cliArgs.failOn, '--fail-on');
+    }
     await ensureConfigReady(config);
   } catch (error) {
     if (error instanceof ConfigurationError) {
@@ -527,21 +981,41 @@ export async function runVerification(options = {}) {
   }
 
   await ensureCacheStructure(config);
+  const cacheStore = createCacheStore(config);
 
   const knowledgeBase = await loadKnowledgeBase(config, logger);
 
   const startTime = Date.now();
-  const { commands, markdownFiles } = await discoverCommands(config, logger);
+  const { commands: discoveredCommands, markdownFiles } = scope === 'staged' || scope === 'working-tree'
+    ? await discoverScopedCommands(config, scope, logger)
+    : await discoverCommands(config, logger);
+  let commands = discoveredCommands;
 
-  const lastCommit = await readLastValidatedCommit(config);
+  const lastCommit = scope ? null : await readLastValidatedCommit(config);
   const currentCommit = getCurrentCommit(config.cwd, logger);
 
   let changedFiles = new Set();
   let affectedCommands = new Set(commands.map(c => c.command));
 
-  if (lastCommit && currentCommit && lastCommit !== currentCommit) {
+  if (scope === 'base') {
+    const mergeBase = resolvePullRequestBase(cliArgs.base, config.cwd);
+    logger.info(`ℹ️  Comparing against ${cliArgs.base} (merge-base ${mergeBase.slice(0, 12)})`);
+    changedFiles = getChangedFiles(mergeBase, config.cwd, logger);
+    const hunks = getChangedHunks(mergeBase, config.cwd, logger);
+    affectedCommands = analyzeImpact(changedFiles, commands, knowledgeBase, logger, hunks);
+    // Only commands on documentation lines the change touched are reported;
+    // the other rules decide which of them skip the cache
+    const touched = findTouchedCommands(changedFiles, commands, hunks);
+    commands = commands.filter(command => touched.has(command.command));
+    logger.info(`ℹ️  ${commands.length} commands on changed documentation lines`);
+  } else if (scope) {
+    // Commands on changed lines are always revalidated against the current tree
+    changedFiles = new Set(markdownFiles.map(file => path.normalize(file)));
+    logger.info(`ℹ️  ${scope} mode: validating ${commands.length} commands on changed lines.`);
+  } else if (lastCommit && currentCommit && lastCommit !== currentCommit) {
     changedFiles = getChangedFiles(lastCommit, config.cwd, logger);
-    affectedCommands = analyzeImpact(changedFiles, commands, knowledgeBase, logger);
+    const hunks = getChangedHunks(lastCommit, config.cwd, logger);
+    affectedCommands = analyzeImpact(changedFiles, commands, knowledgeBase, logger, hunks);
     if (affectedCommands.size === 0) {
       affectedCommands = new Set();
     }
@@ -555,29 +1029,85 @@ export async function runVerification(options = {}) {
     affectedCommands = new Set(commands.map(c => c.command));
   }
 
-  const cacheStats = { hits: 0, misses: 0, revalidated: 0, repaired: 0, corrupted: 0 };
+  const cacheStats = { hits: 0, misses: 0, revalidated: 0, repaired: 0, corrupted: 0, invalidated: [] };
   const results = await validateCommands(commands, affectedCommands, {
     knowledgeBase,
     config,
     currentCommit,
+    cacheStore,
+    env: options.env ?? process.env,
+    fingerprint: createFingerprinter({ env: options.env ?? process.env, envVars: config.cacheEnvVars }),
+    validators: createProjectValidators(config),
   }, cacheStats, logger);
 
+  const execution = cliArgs.execute
+    ? await executeCommands(results, { config, commit: currentCommit, env: options.env ?? process.env }, logger)
+    : null;
+
+  const doctest = cliArgs.doctest
+    ? await runDoctests(results, { config, commit: currentCommit, env: options.env ?? process.env }, logger)
+    : null;
+
   const summary = generateSummary(commands, results, startTime, changedFiles, cacheStats, logger);
+  if (execution) {
+    summary.execution = execution;
+  }
+  if (doctest) {
+    summary.doctest = doctest;
+  }
+
+  // Scoped runs only see part of the tree, so they cannot tell which entries are orphaned
+  if (!scope && config.cacheAutoPrune && discoveredCommands.length > 0) {
+    const pruned = await pruneCache(cacheStore, config, {
+      keep: new Set(discoveredCommands.map(command => command.command)),
+    });
+    summary.cache.pruned = logPruneCounts(pruned, logger, { always: cliArgs.stats });
+  }
 
-  if (currentCommit) {
+  // Scoped runs only see part of the tree, so they must not advance the baseline
+  if (currentCommit && !scope) {
     await writeLastValidatedCommit(config, currentCommit);
   }
 
-  logger.info('\n✅ Command verification complete!');
+  const failures = config.failOn
+    ? results.filter(result => meetsSeverityThreshold(result.validation.severity, config.failOn))
+    : [];
 
-  return {
+  if (failures.length > 0) {
+    logger.error(`\n❌ ${failures.length} commands reached the "${config.failOn}" severity threshold:`);
+    for (const item of failures) {
+      logger.error(`   ✗ ${item.validation.message ?? item.command}`);
+    }
+  } else {
+    logger.info('\n✅ Command verification complete!');
+  }
+
+  const verification = {
     commands,
     markdownFiles,
     results,
     summary,
     config,
     knowledgeBase,
+    commit: currentCommit,
+    failures,
+    exitCode: failures.length > 0 ? EXIT_CODES.validationFailed : EXIT_CODES.success,
   };
+
+  if (reporter) {
+    verification.report = await reporter.render(verification);
+    if (cliArgs.output) {
+      const outputPath = path.resolve(cwd, cliArgs.output);
+      await fs.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.writeFile(outputPath, verification.report, 'utf-8');
+      logger.info(`📝 Wrote ${format} report to ${cliArgs.output}`);
+    } else {
+      const stdout = options.stdout ?? process.stdout;
+      stdout.write(verification.report);
+    }
+  }
+
+  return verification;
 }
 
 export { ConfigurationError } from './config.js';
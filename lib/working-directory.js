@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { splitShellCommand, splitShellWords } from './shell-parser.js';
+
+const COMMAND_PREFIXES = new Set(['sudo', 'env', 'exec', 'time', 'nohup']);
+const DIRECTORY_CHANGERS = new Set(['cd', 'pushd']);
+
+/**
+ * Check whether an operand is a literal repository path: no globs,
+ * variables, home directories, absolute paths or URLs
+ */
+export function isCheckablePath(operand) {
+  return Boolean(operand)
+    && operand !== '-'
+    && !/[*?[\]{}<>$~`]/.test(operand)
+    && !path.isAbsolute(operand)
+    && !/^[a-z][a-z0-9+.-]*:/i.test(operand);
+}
+
+export function isInside(child, parent) {
+  const relative = path.relative(parent, child);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Drop wrappers such as `sudo` and leading VAR=value assignments
+ */
+export function stripCommandPrefixes(words) {
+  let index = 0;
+  while (index < words.length && (COMMAND_PREFIXES.has(words[index]) || /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index]))) {
+    index += 1;
+  }
+  return words.slice(index);
+}
+
+/**
+ * Build a resolver for the directory each segment of a documented command
+ * runs in. Commands start in the repository root, or in the directory a
+ * preceding `cd` in the same code block moved to (`location.cwd`), and `cd`
+ * or `pushd` segments move the segments after them. Once the directory
+ * cannot be known (`cd $DIR`, `cd ~`, a missing directory) `cwd` is null.
+ */
+export function createWorkingDirectoryResolver(rootDir) {
+  const directoryCache = new Map();
+
+  function isDirectory(target) {
+    if (!directoryCache.has(target)) {
+      directoryCache.set(target, fs.stat(target).then(stats => stats.isDirectory(), () => false));
+    }
+    return directoryCache.get(target);
+  }
+
+  async function moveTo(baseDir, target) {
+    if (!baseDir || !isCheckablePath(target)) return null;
+    const resolved = path.resolve(baseDir, target);
+    return isInside(resolved, rootDir) && await isDirectory(resolved) ? resolved : null;
+  }
+
+  return async function resolveSegments(command, location = {}) {
+    let cwd = location.cwd ? await moveTo(rootDir, location.cwd) : rootDir;
+    const segments = [];
+
+    for (const segment of splitShellCommand(command)) {
+      segments.push({ segment, cwd });
+      const [name, target] = stripCommandPrefixes(splitShellWords(segment));
+      if (DIRECTORY_CHANGERS.has(name)) {
+        cwd = await moveTo(cwd, target);
+      }
+    }
+
+    return segments;
+  };
+}
@@ -3,22 +3,29 @@
 import path from 'path';
 import { fileURLToPath } from 'url';
 
-import { runVerification, ConfigurationError } from '../lib/verification.js';
+import { runVerification, ConfigurationError, EXIT_CODES } from '../lib/verification.js';
+import { runCacheCommand } from '../lib/cache-cli.js';
 
 const CURRENT_FILE = fileURLToPath(import.meta.url);
 
 async function cli() {
   try {
-    await runVerification();
+    const args = process.argv.slice(2);
+    const result = args[0] === 'cache'
+      ? await runCacheCommand({ args: args.slice(1) })
+      : await runVerification({ args });
+    process.exitCode = result.exitCode;
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
     console.error(`❌ Command verification failed: ${message}`);
-    if (error instanceof ConfigurationError && error.hints?.length) {
-      for (const hint of error.hints) {
+    if (error instanceof ConfigurationError) {
+      for (const hint of error.hints ?? []) {
         console.error(`↳ Hint: ${hint}`);
       }
+      process.exitCode = EXIT_CODES.configurationError;
+      return;
     }
-    process.exitCode = 1;
+    process.exitCode = EXIT_CODES.internalError;
   }
 }
 